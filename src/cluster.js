@@ -0,0 +1,310 @@
+/*
+ol-mapbox-style - Use Mapbox Style objects with OpenLayers
+Copyright 2016-present ol-mapbox-style contributors
+License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
+*/
+
+import Feature from 'ol-zhyt/Feature';
+import Point from 'ol-zhyt/geom/Point';
+import { expression } from '@mapbox/mapbox-gl-style-spec';
+import { assign } from './util';
+
+/**
+ * @typedef {Object} ClusterOptions
+ * @property {number} radius Cluster radius in pixels.
+ * @property {number} maxZoom Maximum zoom level to cluster points on.
+ * @property {number} minPoints Minimum number of points to form a cluster.
+ * @property {Object} [properties] `clusterProperties` of the source.
+ * @property {Array<number>} resolutions Resolutions of the zoom levels.
+ */
+
+/**
+ * @typedef {Object} ClusterItem
+ * @property {number} x X coordinate, weighted center for clusters.
+ * @property {number} y Y coordinate, weighted center for clusters.
+ * @property {number} numPoints Number of points.
+ * @property {number} zoom Zoom level the item was last clustered on.
+ * @property {Object} properties Values of the `clusterProperties`.
+ * @property {number} [id] Cluster id, not set for points.
+ * @property {Feature} [feature] Feature of the item. Created on demand for
+ * clusters.
+ */
+
+/**
+ * @typedef {Object} ClusterIndex
+ * @property {ClusterOptions} options Options.
+ * @property {Array<Array<ClusterItem>>} levels Items of each zoom level, up to
+ * `maxZoom + 1` with all points.
+ * @property {Array<Object>} clusters Clusters by id, with their `item`, their
+ * `children` and the `zoom` level they were created on.
+ * @property {Array<Feature>} others Features without a point geometry, which
+ * are not clustered.
+ */
+
+/**
+ * @param {Object} clusterProperties `clusterProperties` of the source.
+ * @return {{map: function(Object): Object, reduce: function(Object, Object)}}
+ * Functions to map the properties of a point to the values of the cluster
+ * properties, and to reduce the values of two items into the first.
+ */
+function createAggregation(clusterProperties) {
+    const names = Object.keys(clusterProperties);
+    const mapExpressions = {};
+    const reduceExpressions = {};
+    for (let i = 0, ii = names.length; i < ii; ++i) {
+        const name = names[i];
+        const operator = clusterProperties[name][0];
+        const mapExpression = expression.createExpression(clusterProperties[name][1]);
+        const reduceExpression = expression.createExpression(typeof operator === 'string' ?
+            [operator, ['accumulated'], ['get', name]] : operator);
+        if (mapExpression.result === 'error' || reduceExpression.result === 'error') {
+            const errors = mapExpression.result === 'error' ? mapExpression.value : reduceExpression.value;
+            throw new Error(`Invalid cluster property "${name}": ${errors[0].message}`);
+        }
+        mapExpressions[name] = mapExpression.value;
+        reduceExpressions[name] = reduceExpression.value;
+    }
+    const globals = {accumulated: null, zoom: 0};
+    const glFeature = {properties: null};
+    return {
+        map: function (properties) {
+            glFeature.properties = properties;
+            const values = {};
+            for (let i = 0, ii = names.length; i < ii; ++i) {
+                values[names[i]] = mapExpressions[names[i]].evaluate(globals, glFeature);
+            }
+            return values;
+        },
+        reduce: function (accumulated, values) {
+            glFeature.properties = values;
+            for (let i = 0, ii = names.length; i < ii; ++i) {
+                globals.accumulated = accumulated[names[i]];
+                accumulated[names[i]] = reduceExpressions[names[i]].evaluate(globals, glFeature);
+            }
+        }
+    };
+}
+
+/**
+ * @param {number} count Number of points.
+ * @return {string|number} Abbreviated number, e.g. `1.2k` for 1234.
+ */
+function abbreviate(count) {
+    return count >= 10000 ? Math.round(count / 1000) + 'k' :
+        count >= 1000 ? (Math.round(count / 100) / 10) + 'k' : count;
+}
+
+/**
+ * Clusters the items of a zoom level greedily, like supercluster, which is used
+ * by Mapbox GL JS.
+ * @param {ClusterIndex} index Cluster index.
+ * @param {Array<ClusterItem>} items Items of the next zoom level.
+ * @param {number} zoom Zoom level.
+ * @param {Object} [aggregation] Cluster property aggregation.
+ * @return {Array<ClusterItem>} Items of the zoom level.
+ */
+function clusterItems(index, items, zoom, aggregation) {
+    const options = index.options;
+    const radius = options.radius * options.resolutions[zoom];
+    const cells = {};
+    for (let i = 0, ii = items.length; i < ii; ++i) {
+        const item = items[i];
+        const key = Math.floor(item.x / radius) + ',' + Math.floor(item.y / radius);
+        (cells[key] || (cells[key] = [])).push(item);
+    }
+    const clustered = [];
+    for (let i = 0, ii = items.length; i < ii; ++i) {
+        const item = items[i];
+        if (item.zoom <= zoom) {
+            continue;
+        }
+        item.zoom = zoom;
+        const neighbors = [];
+        const col = Math.floor(item.x / radius);
+        const row = Math.floor(item.y / radius);
+        for (let x = col - 1; x <= col + 1; ++x) {
+            for (let y = row - 1; y <= row + 1; ++y) {
+                const cell = cells[x + ',' + y];
+                if (!cell) {
+                    continue;
+                }
+                for (let j = 0, jj = cell.length; j < jj; ++j) {
+                    const candidate = cell[j];
+                    const dx = candidate.x - item.x;
+                    const dy = candidate.y - item.y;
+                    if (candidate.zoom > zoom && dx * dx + dy * dy <= radius * radius) {
+                        neighbors.push(candidate);
+                    }
+                }
+            }
+        }
+        let numPoints = item.numPoints;
+        for (let j = 0, jj = neighbors.length; j < jj; ++j) {
+            numPoints += neighbors[j].numPoints;
+        }
+        if (neighbors.length === 0 || numPoints < options.minPoints) {
+            clustered.push(item);
+            for (let j = 0, jj = neighbors.length; j < jj; ++j) {
+                neighbors[j].zoom = zoom;
+                clustered.push(neighbors[j]);
+            }
+            continue;
+        }
+        const children = [item].concat(neighbors);
+        let x = 0;
+        let y = 0;
+        let properties = {};
+        for (let j = 0, jj = children.length; j < jj; ++j) {
+            const child = children[j];
+            child.zoom = zoom;
+            x += child.x * child.numPoints;
+            y += child.y * child.numPoints;
+            if (aggregation) {
+                if (j === 0) {
+                    properties = assign({}, child.properties);
+                } else {
+                    aggregation.reduce(properties, child.properties);
+                }
+            }
+        }
+        const id = index.clusters.length;
+        const cluster = {
+            x: x / numPoints,
+            y: y / numPoints,
+            numPoints: numPoints,
+            zoom: Infinity,
+            properties: properties,
+            id: id
+        };
+        index.clusters.push({item: cluster, children: children, zoom: zoom});
+        clustered.push(cluster);
+    }
+    return clustered;
+}
+
+/**
+ * Creates a cluster index for the point features of a `geojson` source with
+ * `cluster: true`. Points are clustered on each zoom level up to `maxZoom`,
+ * starting with the clusters of the next zoom level.
+ * @param {Array<Feature>} features Features of the source.
+ * @param {ClusterOptions} options Options.
+ * @return {ClusterIndex} Cluster index.
+ */
+export function createClusterIndex(features, options) {
+    const aggregation = options.properties ? createAggregation(options.properties) : undefined;
+    const index = {
+        options: options,
+        levels: [],
+        clusters: [],
+        others: []
+    };
+    let items = [];
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+        const feature = features[i];
+        const geometry = feature.getGeometry();
+        if (!geometry || geometry.getType() !== 'Point') {
+            index.others.push(feature);
+            continue;
+        }
+        const coordinates = /** @type {Point} */ (geometry).getCoordinates();
+        items.push({
+            x: coordinates[0],
+            y: coordinates[1],
+            numPoints: 1,
+            zoom: Infinity,
+            properties: aggregation ? aggregation.map(feature.getProperties()) : {},
+            feature: feature
+        });
+    }
+    index.levels[options.maxZoom + 1] = items;
+    for (let zoom = options.maxZoom; zoom >= 0; --zoom) {
+        items = clusterItems(index, items, zoom, aggregation);
+        index.levels[zoom] = items;
+    }
+    return index;
+}
+
+/**
+ * @param {ClusterItem} item Cluster item.
+ * @return {Feature} Feature of the item. For clusters, a feature with the
+ * `cluster`, `cluster_id`, `point_count` and `point_count_abbreviated`
+ * properties and the values of the cluster properties.
+ */
+function getFeature(item) {
+    if (!item.feature) {
+        const feature = new Feature(assign({
+            cluster: true,
+            'cluster_id': item.id,
+            'point_count': item.numPoints,
+            'point_count_abbreviated': abbreviate(item.numPoints)
+        }, item.properties));
+        feature.setGeometry(new Point([item.x, item.y]));
+        item.feature = feature;
+    }
+    return item.feature;
+}
+
+/**
+ * @param {ClusterIndex} index Cluster index.
+ * @param {number} zoom Zoom level.
+ * @return {Array<Feature>} Clusters and unclustered features on the zoom level.
+ */
+export function getClusters(index, zoom) {
+    const levels = index.levels;
+    const items = levels[Math.max(0, Math.min(Math.floor(zoom), levels.length - 1))];
+    return items.map(getFeature).concat(index.others);
+}
+
+/**
+ * @param {ClusterIndex} index Cluster index.
+ * @param {number} clusterId Cluster id.
+ * @return {Object} Cluster.
+ * @throws {Error} When there is no cluster with the id.
+ */
+function getCluster(index, clusterId) {
+    const cluster = index.clusters[clusterId];
+    if (!cluster) {
+        throw new Error(`Cluster "${clusterId}" does not exist`);
+    }
+    return cluster;
+}
+
+/**
+ * @param {ClusterIndex} index Cluster index.
+ * @param {number} clusterId Cluster id.
+ * @return {number} Zoom level on which the cluster expands into several
+ * children.
+ * @throws {Error} When there is no cluster with the id.
+ */
+export function getClusterExpansionZoom(index, clusterId) {
+    // Clusters always have more than one child on the next zoom level
+    return getCluster(index, clusterId).zoom + 1;
+}
+
+/**
+ * @param {ClusterIndex} index Cluster index.
+ * @param {number} clusterId Cluster id.
+ * @param {number} limit Maximum number of features to return.
+ * @param {number} offset Number of features to skip.
+ * @return {Array<Feature>} Original point features of the cluster.
+ * @throws {Error} When there is no cluster with the id.
+ */
+export function getClusterLeaves(index, clusterId, limit, offset) {
+    const leaves = [];
+    let skipped = 0;
+    const collect = function (cluster) {
+        const children = cluster.children;
+        for (let i = 0, ii = children.length; i < ii && leaves.length < limit; ++i) {
+            const child = children[i];
+            if (child.id !== undefined) {
+                collect(index.clusters[child.id]);
+            } else if (skipped < offset) {
+                ++skipped;
+            } else {
+                leaves.push(child.feature);
+            }
+        }
+    };
+    collect(getCluster(index, clusterId));
+    return leaves;
+}
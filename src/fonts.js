@@ -0,0 +1,200 @@
+/*
+ol-mapbox-style - Use Mapbox Style objects with OpenLayers
+Copyright 2016-present ol-mapbox-style contributors
+License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
+*/
+
+import mb2css from 'mapbox-to-css-font';
+import googleFonts from 'webfont-matcher/lib/fonts/google';
+
+/**
+ * @typedef {Object} FontDescription
+ * @property {string} font Font name, as used in `text-font`, e.g.
+ * `Noto Sans CJK SC Regular`.
+ * @property {string} family CSS font family, e.g. `Noto Sans CJK SC`.
+ * @property {string} weight CSS font weight, e.g. `400`.
+ * @property {string} style CSS font style, e.g. `normal`.
+ */
+
+/**
+ * @typedef {function(FontDescription):boolean} FontProvider
+ * Makes a font of a `text-font` available, e.g. by loading a web font. Returns
+ * `true` when it provides the font, so the next providers are not asked.
+ */
+
+/**
+ * @typedef {Object} FontManifestEntry
+ * @property {string|Array<string>} [local] Names of system fonts to use for
+ * the font, e.g. `SimHei`.
+ * @property {string|Array<string>} [url] Urls of font files, which are used
+ * when none of the `local` fonts is installed.
+ */
+
+const fontFamilyRegEx = /font-family: ?([^;]*);/;
+const stripQuotesRegEx = /("|')/g;
+let loadedFontFamilies;
+function hasFontFamily(family) {
+    if (!loadedFontFamilies) {
+        loadedFontFamilies = {};
+        const styleSheets = document.styleSheets;
+        for (let i = 0, ii = styleSheets.length; i < ii; ++i) {
+            const styleSheet = /** @type {CSSStyleSheet} */ (styleSheets[i]);
+            try {
+                const cssRules = styleSheet.rules || styleSheet.cssRules;
+                if (cssRules) {
+                    for (let j = 0, jj = cssRules.length; j < jj; ++j) {
+                        const cssRule = cssRules[j];
+                        if (cssRule.type == 5) {
+                            const match = cssRule.cssText.match(fontFamilyRegEx);
+                            loadedFontFamilies[match[1].replace(stripQuotesRegEx, '')] = true;
+                        }
+                    }
+                }
+            } catch (e) {
+                // empty catch block
+            }
+        }
+    }
+    return family in loadedFontFamilies;
+}
+
+const googleFamilies = googleFonts.getNames();
+
+/**
+ * ```js
+ * import {googleFontProvider} from 'ol-mapbox-style';
+ * ```
+ * Font provider that loads fonts from [Google Fonts](https://fonts.google.com/)
+ * with a stylesheet `<link>`, unless the page already has a `@font-face` rule
+ * for the font family. This is the default font provider.
+ * @param {FontDescription} description Font description.
+ * @return {boolean} The font is provided.
+ */
+export function googleFontProvider(description) {
+    const family = description.family;
+    if (hasFontFamily(family) || googleFamilies.indexOf(family) === -1) {
+        return false;
+    }
+    const fontUrl = 'https://fonts.googleapis.com/css?family=' + family.replace(/ /g, '+') + ':' +
+        description.weight + description.style;
+    if (!document.querySelector('link[href="' + fontUrl + '"]')) {
+        const markup = document.createElement('link');
+        markup.href = fontUrl;
+        markup.rel = 'stylesheet';
+        document.head.appendChild(markup);
+    }
+    return true;
+}
+
+/**
+ * @param {FontDescription} description Font description.
+ * @param {string} source Source of the font face, a list of `local()` and
+ * `url()` sources.
+ */
+function loadFontFace(description, source) {
+    if (typeof FontFace === 'undefined') {
+        return;
+    }
+    const fontFace = new FontFace(description.family, source, {
+        weight: description.weight,
+        style: description.style
+    });
+    document.fonts.add(fontFace);
+    fontFace.load().catch(function () {
+        // Labels are rendered with the next fonts of the font stack
+    });
+}
+
+/**
+ * ```js
+ * import {createFontManifestProvider} from 'ol-mapbox-style';
+ * ```
+ * Creates a font provider for fonts that are installed on the system or
+ * hosted with the application, e.g. for deployments without access to
+ * Google Fonts. The fonts are loaded with the `FontFace` API, with the CSS
+ * family, weight and style that the `text-font` name stands for, so labels
+ * can use them right away:
+ *
+ * ```js
+ * setFontProviders([createFontManifestProvider({
+ *   'Noto Sans CJK SC Regular': '/fonts/NotoSansCJKsc-Regular.woff2',
+ *   'Microsoft YaHei Bold': {local: ['Microsoft YaHei Bold', 'SimHei']}
+ * })]);
+ * ```
+ * @param {Object<string, (string|FontManifestEntry)>} manifest Fonts by
+ * `text-font` name, as url of the font file, or as manifest entry.
+ * @return {FontProvider} Font provider for the fonts of the manifest.
+ */
+export function createFontManifestProvider(manifest) {
+    return function (description) {
+        const entry = manifest[description.font];
+        if (!entry) {
+            return false;
+        }
+        const sources = [];
+        const locals = typeof entry == 'string' ? [] : [].concat(entry.local || []);
+        const urls = typeof entry == 'string' ? [entry] : [].concat(entry.url || []);
+        for (let i = 0, ii = locals.length; i < ii; ++i) {
+            sources.push(`local("${locals[i]}")`);
+        }
+        for (let i = 0, ii = urls.length; i < ii; ++i) {
+            sources.push(`url("${urls[i]}")`);
+        }
+        if (sources.length === 0) {
+            return false;
+        }
+        loadFontFace(description, sources.join(', '));
+        return true;
+    };
+}
+
+let fontProviders = [googleFontProvider];
+const processedFonts = {};
+
+/**
+ * ```js
+ * import {setFontProviders} from 'ol-mapbox-style';
+ * ```
+ * Sets the providers that make the fonts of the `text-font`s of styles
+ * available. For each font, the providers are asked in order, until one
+ * provides it. Fonts that no provider provides need to be available on the
+ * system or loaded by the application. By default, fonts are loaded from
+ * Google Fonts with `googleFontProvider`. To not load any fonts, set an empty
+ * array.
+ * @param {Array<FontProvider>} providers Font providers.
+ */
+export function setFontProviders(providers) {
+    fontProviders = providers.slice();
+    for (const font in processedFonts) {
+        delete processedFonts[font];
+    }
+}
+
+/**
+ * @private
+ * Asks the font providers for the fonts of a font stack, once for each font.
+ * @param {Array<string>} fonts Fonts.
+ * @return {Array<string>} Processed fonts.
+ */
+export function getFonts(fonts) {
+    for (let i = 0, ii = fonts.length; i < ii; ++i) {
+        const font = fonts[i];
+        if (font in processedFonts) {
+            continue;
+        }
+        processedFonts[font] = true;
+        const parts = mb2css(font, 1).split(' ');
+        const description = {
+            font: font,
+            family: parts.slice(3).join(' ').replace(/"/g, ''),
+            weight: parts[1],
+            style: parts[0]
+        };
+        for (let j = 0, jj = fontProviders.length; j < jj; ++j) {
+            if (fontProviders[j](description)) {
+                break;
+            }
+        }
+    }
+    return fonts;
+}
@@ -0,0 +1,304 @@
+/*
+ol-mapbox-style - Use Mapbox Style objects with OpenLayers
+Copyright 2016-present ol-mapbox-style contributors
+License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
+*/
+
+import RBush from 'ol-zhyt/structs/RBush';
+import RenderFeature from 'ol-zhyt/render/Feature';
+import { getWidth } from 'ol-zhyt/extent';
+import { douglasPeucker } from 'ol-zhyt/geom/flat/simplify';
+import { orientLinearRings } from 'ol-zhyt/geom/flat/orient';
+import { assign } from './util';
+
+/**
+ * @typedef {import("ol-zhyt/Feature").default} Feature
+ * @typedef {import("ol-zhyt/geom/Geometry").default} Geometry
+ * @private
+ */
+
+/**
+ * @typedef {Object} GeoJSONTileOptions
+ * @property {number} buffer Size of the tile buffer on each side, in pixels of a
+ * 512 pixel tile.
+ * @property {number} tolerance Douglas-Peucker simplification tolerance, in
+ * pixels of a 512 pixel tile.
+ */
+
+/**
+ * @typedef {Object} GeoJSONTileIndex
+ * @property {GeoJSONTileOptions} options Options.
+ * @property {RBush<Object>} rtree Feature records by the extent of their
+ * geometry. Records have the `geometry`, the `properties` and the `id` of a
+ * feature.
+ */
+
+/**
+ * Creates an index of features, from which `getTileFeatures()` slices vector
+ * tiles on demand, like geojson-vt, which is used by Mapbox GL JS.
+ * @param {Array<Feature>} features Features, in the projection of the tile
+ * grid.
+ * @param {GeoJSONTileOptions} options Options.
+ * @return {GeoJSONTileIndex} Tile index.
+ */
+export function createGeoJSONTileIndex(features, options) {
+    const extents = [];
+    const records = [];
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+        const feature = features[i];
+        const geometry = feature.getGeometry();
+        if (!geometry) {
+            continue;
+        }
+        const properties = assign({}, feature.getProperties());
+        delete properties[feature.getGeometryName()];
+        extents.push(geometry.getExtent());
+        records.push({
+            geometry: geometry,
+            properties: properties,
+            id: feature.getId()
+        });
+    }
+    const rtree = new RBush();
+    rtree.load(extents, records);
+    return {
+        options: options,
+        rtree: rtree
+    };
+}
+
+/**
+ * @param {Array<number>} flatCoordinates Flat coordinates.
+ * @param {number} offset Offset.
+ * @param {number} end End.
+ * @param {number} stride Stride.
+ * @return {Array<number>} Flat XY coordinates.
+ */
+function toXY(flatCoordinates, offset, end, stride) {
+    if (stride === 2) {
+        return flatCoordinates.slice(offset, end);
+    }
+    const xy = [];
+    for (let i = offset; i < end; i += stride) {
+        xy.push(flatCoordinates[i], flatCoordinates[i + 1]);
+    }
+    return xy;
+}
+
+/**
+ * Clips a line to an extent with the Liang-Barsky algorithm.
+ * @param {Array<number>} line Flat XY coordinates of the line.
+ * @param {Array<number>} extent Clip extent.
+ * @return {Array<Array<number>>} Flat XY coordinates of the parts inside the
+ * extent.
+ */
+function clipLine(line, extent) {
+    const parts = [];
+    let part;
+    for (let i = 0, ii = line.length - 2; i < ii; i += 2) {
+        const x1 = line[i];
+        const y1 = line[i + 1];
+        const dx = line[i + 2] - x1;
+        const dy = line[i + 3] - y1;
+        let t0 = 0;
+        let t1 = 1;
+        const p = [-dx, dx, -dy, dy];
+        const q = [x1 - extent[0], extent[2] - x1, y1 - extent[1], extent[3] - y1];
+        let inside = true;
+        for (let j = 0; j < 4 && inside; ++j) {
+            if (p[j] === 0) {
+                inside = q[j] >= 0;
+            } else {
+                const t = q[j] / p[j];
+                if (p[j] < 0) {
+                    t0 = Math.max(t0, t);
+                } else {
+                    t1 = Math.min(t1, t);
+                }
+                inside = t0 <= t1;
+            }
+        }
+        if (!inside) {
+            part = undefined;
+            continue;
+        }
+        if (!part || t0 > 0) {
+            part = [x1 + t0 * dx, y1 + t0 * dy];
+            parts.push(part);
+        }
+        part.push(x1 + t1 * dx, y1 + t1 * dy);
+        if (t1 < 1) {
+            part = undefined;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Clips a ring to an extent with the Sutherland-Hodgman algorithm.
+ * @param {Array<number>} ring Flat XY coordinates of the closed ring.
+ * @param {Array<number>} extent Clip extent.
+ * @return {Array<number>} Flat XY coordinates of the clipped, closed ring.
+ * Empty when the ring is outside of the extent.
+ */
+function clipRing(ring, extent) {
+    // Open ring
+    let points = ring.slice(0, -2);
+    for (let edge = 0; edge < 4 && points.length; ++edge) {
+        const axis = edge % 2;
+        const limit = extent[edge];
+        // Minimum edges are 0 and 1, maximum edges 2 and 3
+        const sign = edge < 2 ? 1 : -1;
+        const clipped = [];
+        for (let i = 0, ii = points.length; i < ii; i += 2) {
+            const j = (i + 2) % ii;
+            const a = points.slice(i, i + 2);
+            const b = points.slice(j, j + 2);
+            const aInside = sign * (a[axis] - limit) >= 0;
+            const bInside = sign * (b[axis] - limit) >= 0;
+            if (aInside) {
+                clipped.push(a[0], a[1]);
+            }
+            if (aInside !== bInside) {
+                const t = (limit - a[axis]) / (b[axis] - a[axis]);
+                clipped.push(a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1]));
+            }
+        }
+        points = clipped;
+    }
+    if (points.length < 6) {
+        return [];
+    }
+    points.push(points[0], points[1]);
+    return points;
+}
+
+/**
+ * @param {Array<number>} flatCoordinates Flat XY coordinates.
+ * @param {number} squaredTolerance Squared simplification tolerance.
+ * @return {Array<number>} Simplified flat XY coordinates.
+ */
+function simplify(flatCoordinates, squaredTolerance) {
+    const simplified = [];
+    simplified.length = douglasPeucker(flatCoordinates, 0, flatCoordinates.length, 2, squaredTolerance, simplified, 0);
+    return simplified;
+}
+
+/**
+ * Adds the parts of a geometry that are in the clip extent to a tile.
+ * @param {Geometry} geometry Geometry.
+ * @param {Array<number>} extent Clip extent.
+ * @param {number} squaredTolerance Squared simplification tolerance.
+ * @param {Object} tile Flat coordinates and ends of the points, lines and
+ * polygons of the feature in the tile.
+ */
+function addGeometry(geometry, extent, squaredTolerance, tile) {
+    const type = geometry.getType();
+    if (type === 'GeometryCollection') {
+        const geometries = /** @type {?} */ (geometry).getGeometries();
+        for (let i = 0, ii = geometries.length; i < ii; ++i) {
+            addGeometry(geometries[i], extent, squaredTolerance, tile);
+        }
+        return;
+    }
+    const flatCoordinates = /** @type {?} */ (geometry).getFlatCoordinates();
+    const stride = /** @type {?} */ (geometry).getStride();
+    if (type === 'Point' || type === 'MultiPoint') {
+        const points = tile.points;
+        for (let i = 0, ii = flatCoordinates.length; i < ii; i += stride) {
+            const x = flatCoordinates[i];
+            const y = flatCoordinates[i + 1];
+            if (x >= extent[0] && x <= extent[2] && y >= extent[1] && y <= extent[3]) {
+                points.flatCoordinates.push(x, y);
+                points.ends.push(points.flatCoordinates.length);
+            }
+        }
+    } else if (type === 'LineString' || type === 'MultiLineString') {
+        const ends = type === 'LineString' ? [flatCoordinates.length] : /** @type {?} */ (geometry).getEnds();
+        const lines = tile.lines;
+        let offset = 0;
+        for (let i = 0, ii = ends.length; i < ii; ++i) {
+            const line = simplify(toXY(flatCoordinates, offset, ends[i], stride), squaredTolerance);
+            offset = ends[i];
+            const parts = clipLine(line, extent);
+            for (let j = 0, jj = parts.length; j < jj; ++j) {
+                Array.prototype.push.apply(lines.flatCoordinates, parts[j]);
+                lines.ends.push(lines.flatCoordinates.length);
+            }
+        }
+    } else if (type === 'Polygon' || type === 'MultiPolygon') {
+        const endss = type === 'Polygon' ? [/** @type {?} */ (geometry).getEnds()] :
+            /** @type {?} */ (geometry).getEndss();
+        const polygons = tile.polygons;
+        let offset = 0;
+        for (let i = 0, ii = endss.length; i < ii; ++i) {
+            const ends = endss[i];
+            const polygonOffset = polygons.flatCoordinates.length;
+            const polygonEnds = [];
+            for (let j = 0, jj = ends.length; j < jj; ++j) {
+                const ring = simplify(toXY(flatCoordinates, offset, ends[j], stride), squaredTolerance);
+                offset = ends[j];
+                // Rings that are simplified to a line or clipped away are
+                // skipped, with the holes of skipped exterior rings
+                const clipped = ring.length < 8 ? [] : clipRing(ring, extent);
+                if (clipped.length === 0 && j === 0) {
+                    offset = ends[jj - 1];
+                    break;
+                }
+                Array.prototype.push.apply(polygons.flatCoordinates, clipped);
+                if (clipped.length) {
+                    polygonEnds.push(polygons.flatCoordinates.length);
+                }
+            }
+            if (polygonEnds.length) {
+                // Holes are rendered with the opposite orientation
+                orientLinearRings(polygons.flatCoordinates, polygonOffset, polygonEnds, 2);
+                Array.prototype.push.apply(polygons.ends, polygonEnds);
+            }
+        }
+    }
+}
+
+/**
+ * Slices the features of a tile from a tile index. The geometries are
+ * simplified with the `tolerance`, and clipped to the tile extent with the
+ * `buffer` around it.
+ * @param {GeoJSONTileIndex} index Tile index.
+ * @param {Array<number>} tileExtent Extent of the tile.
+ * @return {Array<RenderFeature>} Features of the tile. Features with different
+ * geometry types, i.e. with a `GeometryCollection`, are split into one feature
+ * for the points, lines and polygons.
+ */
+export function getTileFeatures(index, tileExtent) {
+    const pixelSize = getWidth(tileExtent) / 512;
+    const buffer = index.options.buffer * pixelSize;
+    const tolerance = index.options.tolerance * pixelSize;
+    const extent = [tileExtent[0] - buffer, tileExtent[1] - buffer, tileExtent[2] + buffer, tileExtent[3] + buffer];
+    const records = index.rtree.getInExtent(extent);
+    const features = [];
+    for (let i = 0, ii = records.length; i < ii; ++i) {
+        const record = records[i];
+        const tile = {
+            points: {flatCoordinates: [], ends: []},
+            lines: {flatCoordinates: [], ends: []},
+            polygons: {flatCoordinates: [], ends: []}
+        };
+        addGeometry(record.geometry, extent, tolerance * tolerance, tile);
+        const points = tile.points;
+        if (points.ends.length) {
+            features.push(new RenderFeature(points.ends.length === 1 ? 'Point' : 'MultiPoint',
+                points.flatCoordinates, points.ends, record.properties, record.id));
+        }
+        const lines = tile.lines;
+        if (lines.ends.length) {
+            features.push(new RenderFeature(lines.ends.length === 1 ? 'LineString' : 'MultiLineString',
+                lines.flatCoordinates, lines.ends, record.properties, record.id));
+        }
+        const polygons = tile.polygons;
+        if (polygons.ends.length) {
+            features.push(new RenderFeature('Polygon', polygons.flatCoordinates, polygons.ends,
+                record.properties, record.id));
+        }
+    }
+    return features;
+}
@@ -4,98 +4,132 @@ Copyright 2016-present ol-mapbox-style contributors
 License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
 */
 
-import mb2css from 'mapbox-to-css-font';
-import applyStyleFunction, { getValue } from './stylefunction';
-import googleFonts from 'webfont-matcher/lib/fonts/google';
-import { fromLonLat } from 'ol-zhyt/proj';
-import { createXYZ } from 'ol-zhyt/tilegrid';
+import applyStyleFunction, {
+    getValue, evaluateFilter, getHeatmapGradient, clearLayerCaches, isVisibleAtZoom, rendersGeometryType, types
+} from './stylefunction';
+import { fromLonLat, getPointResolution, transformExtent } from 'ol-zhyt/proj';
+import { boundingExtent, getCenter, getHeight, getWidth, intersects } from 'ol-zhyt/extent';
+import { modulo } from 'ol-zhyt/math';
+import { toSize } from 'ol-zhyt/size';
+import { hash as tileCoordHash } from 'ol-zhyt/tilecoord';
+import { all as allStrategy, tile as tileStrategy } from 'ol-zhyt/loadingstrategy';
 import TileGrid from 'ol-zhyt/tilegrid/TileGrid';
 import Map from 'ol-zhyt/Map';
+import Feature from 'ol-zhyt/Feature';
+import RenderFeature from 'ol-zhyt/render/Feature';
+import Point from 'ol-zhyt/geom/Point';
+import MultiPoint from 'ol-zhyt/geom/MultiPoint';
+import LineString from 'ol-zhyt/geom/LineString';
+import MultiLineString from 'ol-zhyt/geom/MultiLineString';
+import Polygon from 'ol-zhyt/geom/Polygon';
+import MultiPolygon from 'ol-zhyt/geom/MultiPolygon';
+import { linearRingIsClockwise } from 'ol-zhyt/geom/flat/orient';
 import View from 'ol-zhyt/View';
 import GeoJSON from 'ol-zhyt/format/GeoJSON';
 import MVT from 'ol-zhyt/format/MVT';
 import { unByKey } from 'ol-zhyt/Observable';
 import TileLayer from 'ol-zhyt/layer/Tile';
+import ImageLayer from 'ol-zhyt/layer/Image';
+import HeatmapLayer from 'ol-zhyt/layer/Heatmap';
 import VectorLayer from 'ol-zhyt/layer/Vector';
 import VectorTileLayer from 'ol-zhyt/layer/VectorTile';
+import ImageStatic from 'ol-zhyt/source/ImageStatic';
 import TileJSON from 'ol-zhyt/source/TileJSON';
+import RasterSource from 'ol-zhyt/source/Raster';
 import VectorSource from 'ol-zhyt/source/Vector';
 import VectorTileSource from 'ol-zhyt/source/VectorTile';
-import { Color } from '@mapbox/mapbox-gl-style-spec';
-import { assign, defaultResolutions, initDefaultResolutions } from './util';
+import { Color, derefLayers, diff, featureFilter, validate } from '@mapbox/mapbox-gl-style-spec';
+import {
+    assign, deg2rad, defaultResolutions, getZoomForResolution, initDefaultResolutions,
+    getTileGridOptions, getResolutions, hasTileGrid, setTileGridOptions,
+    getTileMatrixSetOptions, getWellKnownTileMatrixSet, getSrsForCrs, fetchResource, setImageSrc, createCanvas,
+    extendResolutions, hasCoalescedTiles, getCoalesce
+} from './util';
+import { hillshade } from './shaders';
+import { createGeoJSONTileIndex, getTileFeatures } from './geojsontiles';
+import {
+    createClusterIndex, getClusters, getClusterExpansionZoom as getIndexExpansionZoom,
+    getClusterLeaves as getIndexLeaves
+} from './cluster';
+import { createLegend } from './legend';
+import { getFonts } from './fonts';
 import { get as getProjection } from 'ol-zhyt/proj'
 import MapEvent from 'ol-zhyt/MapEvent';
+import BaseEvent from 'ol-zhyt/events/Event';
 
 /**
  * @typedef {import("ol-zhyt/Map").default} PluggableMap
  * @typedef {import("ol-zhyt/layer/Layer").default} Layer
  * @typedef {import("ol-zhyt/source/Source").default} Source
+ * @typedef {import("ol-zhyt/Feature").FeatureLike} FeatureLike
+ * @typedef {import("ol-zhyt/geom/Geometry").default} Geometry
+ * @typedef {import("ol-zhyt/pixel").Pixel} Pixel
+ * @typedef {import("./util").TileGridOptions} TileGridOptions
+ * @typedef {import("./util").TileMatrixSetOptions} TileMatrixSetOptions
+ * @typedef {import("./cluster").ClusterIndex} ClusterIndex
+ * @typedef {import("ol-zhyt/Tile").UrlFunction} UrlFunction
+ * @typedef {import("ol-zhyt/proj").ProjectionLike} ProjectionLike
+ * @typedef {import("ol-zhyt/extent").Extent} Extent
+ * @typedef {import("./util").TransformRequest} TransformRequest
+ * @typedef {import("./legend").LegendOptions} LegendOptions
+ * @typedef {import("./legend").LegendItem} LegendItem
  * @private
  */
 
-const tilejsonCache = {};
+/**
+ * @typedef {Object} Options
+ * @property {boolean} [extrusion=false] Render `fill-extrusion` layers in 2.5D,
+ * with walls and roofs from `fill-extrusion-height` and `fill-extrusion-base`,
+ * shaded according to the style's `light`. By default, `fill-extrusion` layers
+ * are rendered like `fill` layers.
+ * @property {string} [validate] Validate the style with `validateStyle()`
+ * before applying it. With `'strict'`, an invalid style is not applied, and the
+ * returned promise is rejected with an error that has the validation errors as
+ * `errors` property. With `'lenient'`, only the layers with errors, and the
+ * layers of sources with errors, are not rendered. The validation errors of the
+ * last applied style are also available as `mapbox-style-errors` property of
+ * the map. By default, the style is not validated.
+ * @property {boolean} [tileGeoJSON=false] Slice the features of `geojson`
+ * sources into vector tiles on the client, and render them with a
+ * `VectorTileLayer` instead of a `VectorLayer`. The geometries are simplified
+ * with the `tolerance` of the source, and clipped with its `buffer`, for zoom
+ * levels up to its `maxzoom`. Recommended for large GeoJSON data. Sources with
+ * `cluster: true` are not sliced.
+ * @property {TransformRequest} [transformRequest] Function that is called with
+ * the url and the resource type of each request for the style, TileJSON,
+ * GeoJSON data, tile matrix sets, sprites, vector and raster tiles and images.
+ * The resource type is one of `Style`, `Source`, `SpriteJSON`, `SpriteImage`,
+ * `Tile` and `Image`. It can return an object with a different `url`, the
+ * `headers` and the `credentials` mode of the request, like the
+ * `transformRequest` option of Mapbox GL JS. Images and raster tiles with
+ * `headers` are fetched instead of loaded as image url.
+ */
 
-const fontFamilyRegEx = /font-family: ?([^;]*);/;
-const stripQuotesRegEx = /("|')/g;
-let loadedFontFamilies;
-function hasFontFamily(family) {
-    if (!loadedFontFamilies) {
-        loadedFontFamilies = {};
-        const styleSheets = document.styleSheets;
-        for (let i = 0, ii = styleSheets.length; i < ii; ++i) {
-            const styleSheet = /** @type {CSSStyleSheet} */ (styleSheets[i]);
-            try {
-                const cssRules = styleSheet.rules || styleSheet.cssRules;
-                if (cssRules) {
-                    for (let j = 0, jj = cssRules.length; j < jj; ++j) {
-                        const cssRule = cssRules[j];
-                        if (cssRule.type == 5) {
-                            const match = cssRule.cssText.match(fontFamilyRegEx);
-                            loadedFontFamilies[match[1].replace(stripQuotesRegEx, '')] = true;
-                        }
-                    }
-                }
-            } catch (e) {
-                // empty catch block
-            }
-        }
-    }
-    return family in loadedFontFamilies;
-}
+/**
+ * @typedef {Object} StyleError
+ * @property {string} [layerId] Id of the layer with the error. Not set for
+ * errors outside of layers.
+ * @property {string} [property] Property with the error, e.g. `fill-color` or
+ * `filter` for layers, or the path of the property for errors outside of
+ * layers, e.g. `sources.osm.type`. Not set for errors of the whole layer.
+ * @property {string} message Error message.
+ */
 
-const processedFontFamilies = {};
-const googleFamilies = googleFonts.getNames();
+const tilejsonCache = {};
 
 /**
- * @private
- * @param {Array} fonts Fonts.
- * @return {Array} Processed fonts.
+ * Tile grid options of the OGC TileMatrixSet documents that were loaded, by url.
+ * @type {Object<string, Promise<TileMatrixSetOptions>>}
  */
-function getFonts(fonts) {
-    const fontsKey = fonts.toString();
-    if (fontsKey in processedFontFamilies) {
-        return fonts;
-    }
-    const googleFontDescriptions = fonts.map(function (font) {
-        const parts = mb2css(font, 1).split(' ');
-        return [parts.slice(3).join(' ').replace(/"/g, ''), parts[1] + parts[0]];
-    });
-    for (let i = 0, ii = googleFontDescriptions.length; i < ii; ++i) {
-        const googleFontDescription = googleFontDescriptions[i];
-        const family = googleFontDescription[0];
-        if (!hasFontFamily(family) && googleFamilies.indexOf(family) !== -1) {
-            const fontUrl = 'https://fonts.googleapis.com/css?family=' + family.replace(/ /g, '+') + ':' + googleFontDescription[1];
-            if (!document.querySelector('link[href="' + fontUrl + '"]')) {
-                const markup = document.createElement('link');
-                markup.href = fontUrl;
-                markup.rel = 'stylesheet';
-                document.head.appendChild(markup);
-            }
-        }
-    }
-    processedFontFamilies[fontsKey] = true;
-    return fonts;
-}
+const tileMatrixSetCache = {};
+
+const layerErrorRegEx = /^layers\[(\d+)\](?:\.(?:paint|layout))?(?:\.([^.[:]+))?[^:]*: ([\s\S]*)$/;
+const styleErrorRegEx = /^([^:]+): ([\s\S]*)$/;
+// Source properties that are supported, but not known to the style validator
+const sourceExtensionRegEx = /^sources\.[^:]+: unknown property "(srs|dataSrs|tileMatrixSet|zoomOffset|clusterMinPoints)"$/;
+// Sprite arrays are not known to the style validator
+const spriteArrayRegEx = /^sprite: string expected, array found$/;
+const bboxRegEx = /\{bbox-([a-z]+-\d+)\}/gi;
 
 const spriteRegEx = /^(.*)(\?.*)$/;
 
@@ -144,11 +178,12 @@ function toSpriteUrl(url, path, extension) {
  * a relative path is used with the `"sprite"` property of the style.
  * @param {Array<number>} [resolutions=undefined] Resolutions for mapping resolution to zoom level.
  * @param {ol-zhyt/Map} map 地图对象，供往外传递获取的精灵图信息. added by lipeng 2020.10.15
+ * @param {Options} [options={}] Options.
  * @return {Promise} Promise which will be resolved when the style can be used
  * for rendering.
  */
 // export function applyStyle(layer, glStyle, source, path, resolutions) {
-export function applyStyle(layer, glStyle, source, path, resolutions, map) {
+export function applyStyle(layer, glStyle, source, path, resolutions, map, options = {}) {
     return new Promise(function (resolve, reject) {
 
         // TODO: figure out where best place to check source type is
@@ -164,30 +199,24 @@ export function applyStyle(layer, glStyle, source, path, resolutions, map) {
             return reject(new Error('Can only apply to VectorLayer or VectorTileLayer'));
         }
 
-        let spriteScale, spriteData, spriteImageUrl, style;
+        let spriteScale, spriteData, spriteImageUrl, spriteImages, style;
         function onChange() {
             if (!style && (!glStyle.sprite || spriteData)) {
-                style = applyStyleFunction(layer, glStyle, source, resolutions, spriteData, spriteImageUrl, getFonts);
+                // Features are read into the projection of the view, and
+                // sprite images are shared by the layers of the map
+                const styleOptions = map ? assign({
+                    projection: map.getView().getProjection(),
+                    spriteImages: spriteImages
+                }, options) : options;
+                style = applyStyleFunction(layer, glStyle, source, resolutions, spriteData, spriteImageUrl, getFonts, styleOptions);
                 if (!layer.getStyle()) {
                     reject(new Error(`Nothing to show for source [${source}]`));
                 } else {
-                    //将精灵图信息保存到map上，供开发者使用 added by lipeng 2020.10.15
-                    if (!map._VectorTileInfo) {
-                        map._VectorTileInfo = {}
-                    }
-                    map._VectorTileInfo.spriteData = spriteData;
-                    map._VectorTileInfo.spriteImageUrl = spriteImageUrl;
-
+                    setLegacySpriteInfo(map, spriteData, spriteImageUrl);
                     resolve();
                 }
             } else if (style) {
-                //将精灵图信息保存到map上，供开发者使用 added by lipeng 2020.10.15
-                if (!map._VectorTileInfo) {
-                    map._VectorTileInfo = {}
-                }
-                map._VectorTileInfo.spriteData = spriteData;
-                map._VectorTileInfo.spriteImageUrl = spriteImageUrl;
-
+                setLegacySpriteInfo(map, spriteData, spriteImageUrl);
                 layer.setStyle(style);
                 resolve();
             } else {
@@ -198,35 +227,19 @@ export function applyStyle(layer, glStyle, source, path, resolutions, map) {
         if (glStyle.sprite) {
             spriteScale = window.devicePixelRatio >= 1.5 ? 0.5 : 1;
             const sizeFactor = spriteScale == 0.5 ? '@2x' : '';
-            let spriteUrl = toSpriteUrl(glStyle.sprite, path, sizeFactor + '.json');
-
-            fetch(spriteUrl, { credentials: 'same-origin' })
-                .then(function (response) {
-                    if (!response.ok && (sizeFactor !== '')) {
-                        spriteUrl = toSpriteUrl(glStyle.sprite, path, '.json');
-                        return fetch(spriteUrl, { credentials: 'same-origin' });
-                    } else {
-                        return response;
-                    }
-                })
-                .then(function (response) {
-                    if (response.ok) {
-                        return response.json();
-                    } else {
-                        reject(new Error(`Problem fetching sprite from ${spriteUrl}: ${response.statusText}`));
-                    }
-                })
-                .then(function (spritesJson) {
-                    if ((spritesJson === undefined) || (Object.keys(spritesJson).length === 0)) {
-                        return reject(new Error('No sprites found.'));
-                    }
-                    spriteData = spritesJson;
-                    spriteImageUrl = toSpriteUrl(glStyle.sprite, path, sizeFactor + '.png');
-                    onChange();
-                })
-                .catch(function (err) {
-                    reject(new Error(`Sprites cannot be loaded: ${spriteUrl}: ${err.message}`));
-                });
+            loadSprites(glStyle.sprite, path, sizeFactor, options.transformRequest).then(function (sprites) {
+                spriteData = sprites.data;
+                spriteImageUrl = sprites.imageUrl;
+                if (map) {
+                    setSprite(map, sprites, options.transformRequest);
+                    spriteImages = map.get('mapbox-sprite').images;
+                    unByKey(layer.get('mapbox-sprite-listener'));
+                    layer.set('mapbox-sprite-listener', map.on('sprite-loaded', function () {
+                        layer.changed();
+                    }), true);
+                }
+                onChange();
+            }).catch(reject);
         } else {
             onChange();
         }
@@ -234,6 +247,166 @@ export function applyStyle(layer, glStyle, source, path, resolutions, map) {
     });
 }
 
+/**
+ * 将精灵图信息保存到map上，供开发者使用 added by lipeng 2020.10.15
+ * Kept for compatibility, `getStyleImages()` and `getStyleImage()` are the
+ * supported way to access the sprite.
+ * @param {PluggableMap} [map] OpenLayers Map.
+ * @param {Object} [spriteData] Sprite index.
+ * @param {string|Object<string, string>} [spriteImageUrl] Sprite image url.
+ */
+function setLegacySpriteInfo(map, spriteData, spriteImageUrl) {
+    if (!map) {
+        return;
+    }
+    if (!map._VectorTileInfo) {
+        map._VectorTileInfo = {};
+    }
+    map._VectorTileInfo.spriteData = spriteData;
+    map._VectorTileInfo.spriteImageUrl = spriteImageUrl;
+}
+
+/**
+ * Keeps the sprite of the style as `mapbox-sprite` property of the map, for
+ * `getStyleImages()` and `getStyleImage()`, and loads the images of its
+ * sheets. A `sprite-loaded` event with the `id` of the sheet, `default` for a
+ * single sprite, is dispatched on the map when the image of a sheet is loaded.
+ * Layers of the same style share the sprite and its images.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {{data: Object, imageUrl: (string|Object<string, string>)}} sprites
+ * Icons and image urls of the sprite, from `loadSprites()`.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ */
+function setSprite(map, sprites, transformRequest) {
+    const imageUrls = typeof sprites.imageUrl == 'string' ? {'default': sprites.imageUrl} : sprites.imageUrl;
+    const key = JSON.stringify(imageUrls);
+    const previous = map.get('mapbox-sprite');
+    if (previous && previous.key === key) {
+        return;
+    }
+    const sprite = {
+        key: key,
+        data: sprites.data,
+        images: {}
+    };
+    map.set('mapbox-sprite', sprite);
+    Object.keys(imageUrls).forEach(function (id) {
+        loadImage(imageUrls[id], 'SpriteImage', transformRequest).then(function (image) {
+            if (map.get('mapbox-sprite') !== sprite) {
+                return;
+            }
+            sprite.images[id] = image;
+            const event = new BaseEvent('sprite-loaded');
+            /** @type {?} */ (event).id = id;
+            map.dispatchEvent(event);
+        }, function () {
+            // Icons of sheets that cannot be loaded have no image
+        });
+    });
+}
+
+/**
+ * @param {string} url Image url.
+ * @param {string} resourceType Resource type, for the `transformRequest`.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<HTMLImageElement>} Resolves with the loaded image.
+ */
+function loadImage(url, resourceType, transformRequest) {
+    return new Promise(function (resolve, reject) {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.addEventListener('load', function () {
+            resolve(image);
+        });
+        image.addEventListener('error', function () {
+            reject(new Error(`Image cannot be loaded: ${url}`));
+        });
+        setImageSrc(image, url, resourceType, transformRequest);
+    });
+}
+
+/**
+ * Loads the index of a sprite sheet. When the `@2x` index cannot be loaded,
+ * the index without size factor is used.
+ * @param {string} url Sprite url.
+ * @param {string} path Path of the style file, for relative sprite urls.
+ * @param {string} sizeFactor Size factor, `@2x` or an empty string.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<{data: Object, imageUrl: string}>} Resolves with the icons
+ * of the sprite index, and the url of the sprite image.
+ */
+function loadSprite(url, path, sizeFactor, transformRequest) {
+    return new Promise(function (resolve, reject) {
+        let spriteUrl = toSpriteUrl(url, path, sizeFactor + '.json');
+
+        fetchResource(spriteUrl, 'SpriteJSON', transformRequest)
+            .then(function (response) {
+                if (!response.ok && (sizeFactor !== '')) {
+                    spriteUrl = toSpriteUrl(url, path, '.json');
+                    return fetchResource(spriteUrl, 'SpriteJSON', transformRequest);
+                } else {
+                    return response;
+                }
+            })
+            .then(function (response) {
+                if (response.ok) {
+                    return response.json();
+                } else {
+                    reject(new Error(`Problem fetching sprite from ${spriteUrl}: ${response.statusText}`));
+                }
+            })
+            .then(function (spritesJson) {
+                if ((spritesJson === undefined) || (Object.keys(spritesJson).length === 0)) {
+                    return reject(new Error('No sprites found.'));
+                }
+                resolve({
+                    data: spritesJson,
+                    imageUrl: toSpriteUrl(url, path, sizeFactor + '.png')
+                });
+            })
+            .catch(function (err) {
+                reject(new Error(`Sprites cannot be loaded: ${spriteUrl}: ${err.message}`));
+            });
+    });
+}
+
+/**
+ * Loads the sprite of a style. The sheets of a sprite array are loaded in
+ * parallel, and their icons are merged into one index, as `id:name`, or just
+ * `name` for the sheet with the id `default`. Icons of the merged index have
+ * the id of their sheet as `sprite`.
+ * @param {string|Array<{id: string, url: string}>} sprite `sprite` of the style.
+ * @param {string} path Path of the style file, for relative sprite urls.
+ * @param {string} sizeFactor Size factor, `@2x` or an empty string.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<{data: Object, imageUrl: (string|Object<string, string>)}>}
+ * Resolves with the icons of the sprite, and the url of the sprite image, or
+ * the image urls by sheet id for sprite arrays.
+ */
+function loadSprites(sprite, path, sizeFactor, transformRequest) {
+    if (!Array.isArray(sprite)) {
+        return loadSprite(sprite, path, sizeFactor, transformRequest);
+    }
+    return Promise.all(sprite.map(function (sheet) {
+        return loadSprite(sheet.url, path, sizeFactor, transformRequest);
+    })).then(function (sheets) {
+        const data = {};
+        const imageUrl = {};
+        for (let i = 0, ii = sheets.length; i < ii; ++i) {
+            const id = sprite[i].id;
+            const prefix = id == 'default' ? '' : id + ':';
+            imageUrl[id] = sheets[i].imageUrl;
+            for (const name in sheets[i].data) {
+                data[prefix + name] = assign({sprite: id}, sheets[i].data[name]);
+            }
+        }
+        return {
+            data: data,
+            imageUrl: imageUrl
+        };
+    });
+}
+
 const emptyObj = {};
 
 function setBackground(map, layer) {
@@ -317,15 +490,258 @@ function getSourceIdByRef(layers, ref) {
     return sourceId;
 }
 
-function extentFromTileJSON(tileJSON) {
+/**
+ * Resolves the TileJSON url of a source. For `mapbox://` urls, the source's
+ * `tiles` are set instead.
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} path Path of the style file.
+ * @param {string} accessToken Access token query string.
+ * @return {string|undefined} TileJSON url.
+ */
+function getSourceUrl(glSource, path, accessToken) {
+    let url = glSource.url;
+    if (url) {
+        url = withPath(url, path);
+        if (url.indexOf('mapbox://') == 0) {
+            const mapid = url.replace('mapbox://', '');
+            const extension = glSource.type == 'vector' ? 'vector.pbf' :
+                glSource.type == 'raster-dem' ? 'pngraw' : 'png';
+            glSource.tiles = ['a', 'b', 'c', 'd'].map(function (host) {
+                return 'https://' + host + '.tiles.mapbox.com/v4/' + mapid +
+                    '/{z}/{x}/{y}.' + extension + (accessToken || '');
+            });
+        }
+    }
+    const tileMatrixSet = glSource.tileMatrixSet;
+    if (typeof tileMatrixSet === 'string' && !getWellKnownTileMatrixSet(tileMatrixSet)) {
+        glSource.tileMatrixSet = withPath(tileMatrixSet, path);
+    }
+    return url;
+}
+
+function extentFromTileJSON(tileJSON, srs) {
     const bounds = tileJSON.bounds;
     if (bounds) {
-        const ll = fromLonLat([bounds[0], bounds[1]]);
-        const tr = fromLonLat([bounds[2], bounds[3]]);
+        const ll = fromLonLat([bounds[0], bounds[1]], srs);
+        const tr = fromLonLat([bounds[2], bounds[3]], srs);
         return [ll[0], ll[1], tr[0], tr[1]];
     }
 }
 
+/**
+ * Creates the tile grid of a source from the tile grid registered for its
+ * spatial reference. The resolutions are scaled for sources with a different
+ * tile size, so Mapbox Style zoom levels keep their resolution.
+ * @param {string} srs Spatial reference of the source.
+ * @param {number} tileSize Tile size of the source.
+ * @param {number} minZoom Minimum zoom level of the source.
+ * @param {number} maxZoom Maximum zoom level of the source.
+ * @param {Array<number>} [extent] Extent of the source. Default is the extent
+ * of the registered tile grid.
+ * @return {TileGrid} Tile grid.
+ */
+function createTileGrid(srs, tileSize, minZoom, maxZoom, extent) {
+    const gridOptions = getTileGridOptions(srs);
+    const scale = gridOptions.tileSize / tileSize;
+    return new TileGrid({
+        origin: gridOptions.origin,
+        extent: extent || gridOptions.extent,
+        minZoom: minZoom,
+        resolutions: getResolutions(srs).slice(0, maxZoom + 1).map(function (resolution) {
+            return resolution * scale;
+        }),
+        tileSize: tileSize
+    });
+}
+
+/**
+ * Creates the tile grid of a source from the tile matrices of an OGC
+ * TileMatrixSet.
+ * @param {TileMatrixSetOptions} options Tile grid options of the tile matrix set.
+ * @param {number} minZoom Minimum zoom level of the source.
+ * @param {number} maxZoom Maximum zoom level of the source.
+ * @param {Array<number>} [extent] Extent of the source. Default is the extent
+ * of the tile matrices.
+ * @return {TileGrid} Tile grid.
+ */
+function createTileMatrixSetGrid(options, minZoom, maxZoom, extent) {
+    const end = maxZoom + 1;
+    return new TileGrid({
+        extent: extent,
+        minZoom: minZoom,
+        origins: options.origins.slice(0, end),
+        resolutions: options.resolutions.slice(0, end),
+        sizes: options.sizes.slice(0, end),
+        tileSizes: options.tileSizes.slice(0, end)
+    });
+}
+
+/**
+ * Loads the `tileMatrixSet` of a source. It can be an OGC TileMatrixSet JSON
+ * object, the url of one, or the identifier of a well-known tile matrix set,
+ * i.e. `WebMercatorQuad` or `WorldCRS84Quad`.
+ * @param {Object|string} tileMatrixSet Tile matrix set of the source.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<TileMatrixSetOptions>} Resolves with the tile grid options of
+ * the tile matrix set.
+ * @throws {Error} When an inline tile matrix set has an unknown projection.
+ */
+function loadTileMatrixSet(tileMatrixSet, transformRequest) {
+    const doc = typeof tileMatrixSet === 'string' ? getWellKnownTileMatrixSet(tileMatrixSet) : tileMatrixSet;
+    if (doc) {
+        return Promise.resolve(getTileMatrixSetOptions(doc));
+    }
+    let promise = tileMatrixSetCache[tileMatrixSet];
+    if (!promise) {
+        promise = tileMatrixSetCache[tileMatrixSet] = fetchResource(tileMatrixSet, 'Source', transformRequest)
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error(`Error loading tile matrix set ${tileMatrixSet}`);
+                }
+                return response.json();
+            })
+            .then(getTileMatrixSetOptions);
+        promise.catch(function () {
+            // Try again next time
+            delete tileMatrixSetCache[tileMatrixSet];
+        });
+    }
+    return promise;
+}
+
+/**
+ * Creates a tile url function for the `tiles` of a source. Supported
+ * placeholders are `{z}`, `{x}`, `{y}`, `{-y}`, `{quadkey}`, `{ratio}` and
+ * `{bbox-<srs>}`, e.g. `{bbox-epsg-3857}`. With a `scheme` of `tms`, `{y}` is
+ * counted from the bottom of the tile grid. Sources without a `scheme` use the
+ * `scheme` of their registered tile grid. The `zoomOffset` of the source is
+ * added to `{z}`. `{quadkey}` encodes the zoom level with the column and row,
+ * so it is built from the tile coordinate without the `zoomOffset`. With
+ * multiple `tiles`, the url for a tile is picked by its tile coordinate.
+ * Coalesced tiles of a tile matrix set share the url of their first column.
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {Array<string>} tiles Url templates.
+ * @param {TileGrid} tileGrid Tile grid of the source.
+ * @param {string} srs Spatial reference of the source.
+ * @param {TileGridOptions} [gridOptions] Registered tile grid of the source,
+ * for its `scheme` and for counting rows from the bottom of its full extent.
+ * @param {TileMatrixSetOptions} [tileMatrixSetOptions] Tile grid options of the
+ * `tileMatrixSet` of the source, for its coalesced tiles and for counting rows
+ * from the bottom of its tile matrices. Without `gridOptions` and
+ * `tileMatrixSetOptions`, rows are counted from the bottom of the full tile
+ * range of `tileGrid`.
+ * @return {UrlFunction} Tile url function.
+ */
+function createTileUrlFunction(glSource, tiles, tileGrid, srs, gridOptions, tileMatrixSetOptions) {
+    const tms = (glSource.scheme || (gridOptions && gridOptions.scheme)) == 'tms';
+    const gridExtent = gridOptions && gridOptions.extent;
+    const zoomOffset = glSource.zoomOffset || 0;
+    return function (tileCoord, pixelRatio) {
+        if (!tileCoord) {
+            return undefined;
+        }
+        const coalesce = tileMatrixSetOptions ? getCoalesce(tileMatrixSetOptions, tileCoord) : 1;
+        if (coalesce > 1) {
+            tileCoord = getCoalescedTileCoord(tileCoord, coalesce);
+        }
+        const z = tileCoord[0];
+        const x = tileCoord[1];
+        const y = tileCoord[2];
+        // Rows from the bottom of the grid
+        let flippedY;
+        if (gridExtent) {
+            const tileHeight = toSize(tileGrid.getTileSize(z))[1] * tileGrid.getResolution(z);
+            flippedY = Math.round(getHeight(gridExtent) / tileHeight) - y - 1;
+        } else if (tileMatrixSetOptions) {
+            // The tile range of the grid is limited to the bounds of the source
+            flippedY = tileMatrixSetOptions.sizes[z][1] - y - 1;
+        } else {
+            const tileRange = tileGrid.getFullTileRange(z);
+            flippedY = tileRange.minY + tileRange.maxY - y;
+        }
+        const template = tiles[modulo(tileCoordHash(tileCoord), tiles.length)];
+        return template
+            .replace(/\{z\}/g, String(z + zoomOffset))
+            .replace(/\{x\}/g, String(x))
+            .replace(/\{y\}/g, String(tms ? flippedY : y))
+            .replace(/\{-y\}/g, String(flippedY))
+            .replace(/\{quadkey\}/g, function () {
+                return toQuadkey(z, x, y);
+            })
+            .replace(/\{ratio\}/g, pixelRatio >= 2 ? '@2x' : '')
+            .replace(bboxRegEx, function (match, code) {
+                const bbox = transformExtent(getCoalescedTileExtent(tileGrid, tileCoord, coalesce), srs,
+                    code.toUpperCase().replace('-', ':'));
+                return bbox.join(',');
+            });
+    };
+}
+
+/**
+ * @param {Array<number>} tileCoord Tile coordinate.
+ * @param {number} coalesce Number of tiles that the tile is coalesced with.
+ * @return {Array<number>} Tile coordinate of the first tile of the coalesced
+ * tiles.
+ */
+function getCoalescedTileCoord(tileCoord, coalesce) {
+    const x = tileCoord[1];
+    return [tileCoord[0], x - modulo(x, coalesce), tileCoord[2]];
+}
+
+/**
+ * @param {TileGrid} tileGrid Tile grid.
+ * @param {Array<number>} tileCoord Tile coordinate.
+ * @param {number} coalesce Number of tiles that the tile is coalesced with.
+ * @return {Array<number>} Extent of the coalesced tiles.
+ */
+function getCoalescedTileExtent(tileGrid, tileCoord, coalesce) {
+    const extent = tileGrid.getTileCoordExtent(getCoalescedTileCoord(tileCoord, coalesce));
+    extent[2] = extent[0] + (extent[2] - extent[0]) * coalesce;
+    return extent;
+}
+
+/**
+ * @param {number} z Zoom level.
+ * @param {number} x Column, from the left.
+ * @param {number} y Row, from the top.
+ * @return {string} Quadkey of the tile.
+ */
+function toQuadkey(z, x, y) {
+    let quadkey = '';
+    for (let i = z; i > 0; --i) {
+        const mask = 1 << (i - 1);
+        quadkey += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+    }
+    return quadkey;
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object.
+ * @return {string} Spatial reference of the source. Sources with an `srs`
+ * without a registered tile grid use `EPSG:3857`, like sources without `srs`.
+ */
+function getSourceSrs(glSource) {
+    const srs = glSource.srs;
+    return srs && hasTileGrid(srs) ? srs : 'EPSG:3857';
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {Source} [source] OpenLayers source of the source.
+ * @return {Array<number>} Resolutions for mapping resolution to zoom level for
+ * the layers of the source. The resolutions of the source's tile matrix set or
+ * registered tile grid, or the default resolutions for sources without a
+ * registered tile grid.
+ */
+function getSourceResolutions(glSource, source) {
+    const resolutions = source && source.get('mapbox-resolutions');
+    if (resolutions) {
+        return resolutions;
+    }
+    const srs = glSource && glSource.srs;
+    return srs && hasTileGrid(srs) ? getResolutions(srs) : defaultResolutions;
+}
+
 // function setupVectorLayer(glSource, accessToken, url) {
 /**
  * 增加glLayers、map参数，用于定义MVT的过滤方法
@@ -335,8 +751,11 @@ function extentFromTileJSON(tileJSON) {
  * @param {*} url
  * @param {Object} glLayers 样式文件的layers节点
  * @param {ol-zhyt/map} map
+ * @param {boolean} sourceChanged The source changed, so an existing layer
+ * cannot be reused.
+ * @param {Options} options Options.
  */
-function setupVectorLayer(glSource, glSourceId, accessToken, url, glLayers, map) {
+function setupVectorLayer(glSource, glSourceId, accessToken, url, glLayers, map, sourceChanged, options) {
     glSource = assign({}, glSource);
 
     //重置 added by lipeng 2020.9.17
@@ -352,7 +771,7 @@ function setupVectorLayer(glSource, glSourceId, accessToken, url, glLayers, map)
 
     let layerId = [glSourceId, counter].join("_");
     let layer = getLayerByID(map, layerId);
-    if (layer) {
+    if (layer && !sourceChanged) {
         return layer;
     } else {
         layer = new VectorTileLayer({
@@ -368,115 +787,251 @@ function setupVectorLayer(glSource, glSourceId, accessToken, url, glLayers, map)
     //     declutter: true,
     //     visible: false
     // });
-    const cacheKey = JSON.stringify(glSource);
-    let tilejson = tilejsonCache[cacheKey];
-    if (!tilejson) {
-        tilejson = tilejsonCache[cacheKey] = new TileJSON({
+    setupVectorSource(glSource, url, glLayers, map, options).then(function (source) {
+        layer.setSource(source);
+    }, function () {
+        layer.setSource(undefined);
+    });
+    return layer;
+}
+
+/**
+ * Creates the `VectorTileSource` for a `vector` source, or reuses the one that
+ * was already created for the same source definition.
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} url TileJSON url of the source.
+ * @param {Array<Object>} glLayers Layers of the Mapbox Style object, used for
+ * the MVT feature filter.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Options} options Options.
+ * @return {Promise<VectorTileSource>} Resolves with the source when the TileJSON
+ * and the `tileMatrixSet` of the source are available, rejects when they cannot
+ * be loaded.
+ */
+function setupVectorSource(glSource, url, glLayers, map, options) {
+    glSource = assign({}, glSource);
+    if (glSource.tileMatrixSet) {
+        return loadTileMatrixSet(glSource.tileMatrixSet, options.transformRequest).then(function (tileMatrixSetOptions) {
+            return createVectorSource(glSource, url, glLayers, map, options, tileMatrixSetOptions);
+        });
+    }
+    return createVectorSource(glSource, url, glLayers, map, options);
+}
+
+/**
+ * Creates the `TileJSON` source for the TileJSON url or the inline `tiles` of a
+ * source. With a `transformRequest` option, the TileJSON is fetched with the
+ * transformed request, and the source is created from the loaded document.
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} url TileJSON url of the source.
+ * @param {Options} options Options.
+ * @param {Object} [tileJSONOptions] Additional options of the `TileJSON` source.
+ * @return {Promise<TileJSON>} Resolves with the source, which may still be
+ * loading its TileJSON, rejects when the TileJSON cannot be fetched.
+ */
+function createTileJSON(glSource, url, options, tileJSONOptions) {
+    if (glSource.tiles || !options.transformRequest) {
+        return Promise.resolve(new TileJSON(assign({
             url: glSource.tiles ? undefined : url,
             tileJSON: glSource.tiles ? glSource : undefined
-        });
+        }, tileJSONOptions)));
     }
-    const key = tilejson.on('change', function () {
-        const state = tilejson.getState();
-        if (state === 'ready') {
-            const tileJSONDoc = tilejson.getTileJSON();
-            const tiles = Array.isArray(tileJSONDoc.tiles) ? tileJSONDoc.tiles : [tileJSONDoc.tiles];
-            if (glSource.url) {
-                for (let i = 0, ii = tiles.length; i < ii; ++i) {
-                    const tile = tiles[i];
-                    if (tile.indexOf('http') != 0) {
-                        tiles[i] = glSource.url.replace(/\/?$/, '/') + tile.replace(/^\//, '');
-                    }
-                }
+    return fetchResource(url, 'Source', options.transformRequest)
+        .then(function (response) {
+            if (!response.ok) {
+                throw new Error(`Error loading ${url}: ${response.statusText}`);
             }
-            const tileGrid = tilejson.getTileGrid();
-            const extent = extentFromTileJSON(tileJSONDoc);
-            const minZoom = tileJSONDoc.minzoom || 0;
-            const maxZoom = tileJSONDoc.maxzoom || 22;
-            let source = tilejson.get('ol-source');
-            if (source === undefined) {
-                /*
-                source = new VectorTileSource({
-                    attributions: tilejson.getAttributions(),
-                    format: new MVT(),
-                    tileGrid: new TileGrid({
-                        origin: tileGrid.getOrigin(0),
-                        extent: extent || tileGrid.getExtent(),
-                        minZoom: minZoom,
-                        resolutions: defaultResolutions.slice(0, maxZoom + 1),
-                        tileSize: 512
-                    }),
-                    urls: tiles
+            return response.json();
+        })
+        .then(function (tileJSONDoc) {
+            return new TileJSON(assign({
+                tileJSON: tileJSONDoc
+            }, tileJSONOptions));
+        });
+}
+
+/**
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @param {TileGrid} [tileGrid] Tile grid of the source.
+ * @param {TileMatrixSetOptions} [tileMatrixSetOptions] Tile grid options of the
+ * `tileMatrixSet` of the source. Coalesced tiles are read with the extent of
+ * all their columns, and keep the features of their own column.
+ * @return {function(VectorTile, string)} Tile load function that fetches vector
+ * tiles with the transformed request.
+ */
+function createVectorTileLoadFunction(transformRequest, tileGrid, tileMatrixSetOptions) {
+    return function (tile, url) {
+        const tileCoord = tile.getTileCoord();
+        const coalesce = tileMatrixSetOptions ? getCoalesce(tileMatrixSetOptions, tileCoord) : 1;
+        tile.setLoader(function (extent, resolution, projection) {
+            fetchResource(url, 'Tile', transformRequest)
+                .then(function (response) {
+                    if (!response.ok) {
+                        throw new Error(`Error loading ${url}: ${response.statusText}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(function (data) {
+                    let features = tile.getFormat().readFeatures(data, {
+                        extent: coalesce > 1 ? getCoalescedTileExtent(tileGrid, tileCoord, coalesce) : extent,
+                        featureProjection: projection
+                    });
+                    if (coalesce > 1) {
+                        features = features.filter(function (feature) {
+                            return intersects(extent, feature.getGeometry().getExtent());
+                        });
+                    }
+                    tile.setFeatures(features);
+                })
+                .catch(function () {
+                    tile.onError();
                 });
-                */
-
-                //自定义支持4490空间参考 added by lipeng 2020.9.1
-                if (glSource.srs.indexOf("4490") > -1) {
-                    initDefaultResolutions("EPSG:4490");
-                    let proj4490 = getProjection("EPSG:4490");
-
-                    let tileUrlFunction = undefined;
-                    if (tiles.length == 1) {
-                        tileUrlFunction = function (tileCoord) {
-                            let url = tiles[0];
-                            return url.replace("{z}", (tileCoord[0] - 1))
-                                .replace("{x}", tileCoord[1])
-                                .replace("{y}", ((1 << (tileCoord[0] - 1)) - tileCoord[2] - 1));
+        });
+    };
+}
+
+/**
+ * @param {TransformRequest} transformRequest Transform request function.
+ * @param {string} resourceType Resource type, `Tile` or `Image`.
+ * @return {function((ImageTile|ImageWrapper), string)} Load function that loads
+ * images with the transformed request.
+ */
+function createImageLoadFunction(transformRequest, resourceType) {
+    return function (imageOrTile, src) {
+        setImageSrc(/** @type {HTMLImageElement} */ (imageOrTile.getImage()), src, resourceType, transformRequest);
+    };
+}
+
+/**
+ * @param {TileMatrixSetOptions} tileMatrixSetOptions Tile grid options of the
+ * `tileMatrixSet` of the source.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {function(ImageTile, string)} Tile load function that crops the
+ * columns of coalesced tiles from their image.
+ */
+function createCoalescedImageLoadFunction(tileMatrixSetOptions, transformRequest) {
+    return function (tile, src) {
+        const image = /** @type {HTMLImageElement} */ (tile.getImage());
+        const tileCoord = tile.getTileCoord();
+        const coalesce = getCoalesce(tileMatrixSetOptions, tileCoord);
+        if (coalesce == 1) {
+            setImageSrc(image, src, 'Tile', transformRequest);
+            return;
+        }
+        loadImage(src, 'Tile', transformRequest).then(function (coalescedImage) {
+            const width = coalescedImage.width / coalesce;
+            const height = coalescedImage.height;
+            const canvas = createCanvas(width, height);
+            canvas.getContext('2d').drawImage(coalescedImage,
+                modulo(tileCoord[1], coalesce) * width, 0, width, height, 0, 0, width, height);
+            image.src = canvas.toDataURL();
+        }, function () {
+            image.dispatchEvent(new Event('error'));
+        });
+    };
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} url TileJSON url of the source.
+ * @param {Array<Object>} glLayers Layers of the Mapbox Style object.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Options} options Options.
+ * @param {TileMatrixSetOptions} [tileMatrixSetOptions] Tile grid options of the
+ * `tileMatrixSet` of the source.
+ * @return {Promise<VectorTileSource>} Resolves with the source.
+ * @private
+ */
+function createVectorSource(glSource, url, glLayers, map, options, tileMatrixSetOptions) {
+    const srs = tileMatrixSetOptions ? tileMatrixSetOptions.srs : getSourceSrs(glSource);
+    const gridOptions = tileMatrixSetOptions ? undefined : getTileGridOptions(srs);
+    const cacheKey = JSON.stringify(glSource);
+    let tilejsonPromise = tilejsonCache[cacheKey];
+    if (!tilejsonPromise) {
+        tilejsonPromise = tilejsonCache[cacheKey] = createTileJSON(glSource, url, options);
+        tilejsonPromise.catch(function () {
+            // Try again next time
+            delete tilejsonCache[cacheKey];
+        });
+    }
+    return tilejsonPromise.then(function (tilejson) {
+        return new Promise(function (resolve, reject) {
+            const key = tilejson.on('change', function () {
+                const state = tilejson.getState();
+                if (state === 'ready') {
+                    const tileJSONDoc = tilejson.getTileJSON();
+                    const tiles = Array.isArray(tileJSONDoc.tiles) ? tileJSONDoc.tiles : [tileJSONDoc.tiles];
+                    if (glSource.url) {
+                        for (let i = 0, ii = tiles.length; i < ii; ++i) {
+                            const tile = tiles[i];
+                            if (tile.indexOf('http') != 0) {
+                                tiles[i] = glSource.url.replace(/\/?$/, '/') + tile.replace(/^\//, '');
+                            }
                         }
-                    } else {
-                        //FIXME 暂不支持多url的自定义行列号 by lipeng 2020.9.18
                     }
-
-                    source = new VectorTileSource({
-                        format: new MVT({
-                            //使用过滤器控制只实例化可见图层的要素 added by lipeng 2020.9.16
-                            filter: (function () {
-                                return getMVTFilter(glLayers, map);
-                            })()
-                        }),
-                        crossOrigin: "anonymous",
-                        tileGrid: createXYZ({
-                            extent: proj4490.getExtent(),
-                            minZoom: minZoom,
-                            maxZoom: maxZoom
-                        }),
-                        projection: proj4490,
-                        tileUrlFunction: tileUrlFunction
-                    })
-                } else {//源码，默认3857 空间参考 by lipeng 2020.9.1 
-                    initDefaultResolutions("EPSG:3857");
-                    source = new VectorTileSource({
-                        attributions: tilejson.getAttributions(),
-                        format: new MVT({
-                            //使用过滤器控制只实例化可见图层的要素 added by lipeng 2020.9.16
-                            filter: (function () {
-                                return getMVTFilter(glLayers, map);
-                            })()
-                        }),
-                        tileGrid: new TileGrid({
-                            origin: tileGrid.getOrigin(0),
-                            extent: extent || tileGrid.getExtent(),
-                            minZoom: minZoom,
-                            resolutions: defaultResolutions.slice(0, maxZoom + 1),
-                            tileSize: 512
-                        }),
-                        urls: tiles
-                    });
+                    const minZoom = tileJSONDoc.minzoom || 0;
+                    const maxZoom = tileJSONDoc.maxzoom || 22;
+                    let source = tilejson.get('ol-source');
+                    if (source === undefined) {
+                        /*
+                        source = new VectorTileSource({
+                            attributions: tilejson.getAttributions(),
+                            format: new MVT(),
+                            tileGrid: new TileGrid({
+                                origin: tileGrid.getOrigin(0),
+                                extent: extent || tileGrid.getExtent(),
+                                minZoom: minZoom,
+                                resolutions: defaultResolutions.slice(0, maxZoom + 1),
+                                tileSize: 512
+                            }),
+                            urls: tiles
+                        });
+                        */
+
+                        // Spatial references other than EPSG:3857 and EPSG:4490
+                        // need a tile grid registered with registerTileGrid(),
+                        // sources with other spatial references use EPSG:3857
+                        const extent = extentFromTileJSON(tileJSONDoc, srs);
+                        const tileGrid = tileMatrixSetOptions ?
+                            createTileMatrixSetGrid(tileMatrixSetOptions, minZoom, maxZoom, extent) :
+                            createTileGrid(srs, gridOptions.tileSize, minZoom, maxZoom, extent);
+                        source = new VectorTileSource({
+                            attributions: tilejson.getAttributions(),
+                            format: promoteFeatureIds(new MVT({
+                                //使用过滤器控制只实例化可见图层的要素 added by lipeng 2020.9.16
+                                filter: (function () {
+                                    return getMVTFilter(glLayers, map);
+                                })()
+                            }), glSource.promoteId),
+                            tileGrid: tileGrid,
+                            projection: getProjection(srs),
+                            tileUrlFunction: createTileUrlFunction(glSource, tiles, tileGrid, srs, gridOptions,
+                                tileMatrixSetOptions),
+                            tileLoadFunction: options.transformRequest ||
+                                (tileMatrixSetOptions && hasCoalescedTiles(tileMatrixSetOptions)) ?
+                                createVectorTileLoadFunction(options.transformRequest, tileGrid, tileMatrixSetOptions) :
+                                undefined
+                        });
+                        if (tileMatrixSetOptions) {
+                            source.set('mapbox-resolutions', extendResolutions(tileMatrixSetOptions.resolutions));
+                        }
+                        tilejson.set('ol-source', source);
+                    }
+                    unByKey(key);
+                    resolve(source);
+                } else if (state === 'error') {
+                    tilejson.set('ol-source', null);
+                    unByKey(key);
+                    reject(new Error('Error accessing data for source ' + url));
                 }
-                tilejson.set('ol-source', source);
+            });
+            if (tilejson.getState() === 'ready') {
+                tilejson.changed();
             }
-            unByKey(key);
-            layer.setSource(source);
-        } else if (state === 'error') {
-            tilejson.set('ol-source', null);
-            unByKey(key);
-            layer.setSource(undefined);
-        }
+        });
+    }, function () {
+        throw new Error('Error accessing data for source ' + url);
     });
-    if (tilejson.getState() === 'ready') {
-        tilejson.changed();
-    }
-    return layer;
 }
 
 /**
@@ -494,6 +1049,9 @@ function getMVTFilter(glLayers, map) {
     return function (rawFeature) {
         let lyrName = rawFeature.layer.name,
             zoom = Math.round(map.getView().getZoom());
+        // Layers may have been changed by setStyle() after the source was created
+        const mapboxStyle = map.get('mapbox-style');
+        const layers = mapboxStyle ? mapboxStyle.layers : glLayers;
 
         if (!LayerZoomMap[zoom]) {
             LayerZoomMap[zoom] = {}
@@ -511,8 +1069,8 @@ function getMVTFilter(glLayers, map) {
             isAddLayerFeature = false,
             minZoom,
             maxZoom;
-        for (const key in glLayers) {
-            const glLayer = glLayers[key];
+        for (const key in layers) {
+            const glLayer = layers[key];
             srcLyrName = glLayer["source-layer"];
             if (srcLyrName !== lyrName) {
                 continue;
@@ -531,8 +1089,45 @@ function getMVTFilter(glLayers, map) {
     }
 }
 
-function setupRasterLayer(glSource, url) {
+function setupRasterLayer(glSource, url, options) {
     const layer = new TileLayer();
+    setupRasterRendering(layer);
+    setupRasterSource(glSource, url, options).then(function (source) {
+        layer.setSource(source);
+    }, function () {
+        layer.setSource(undefined);
+    });
+    return layer;
+}
+
+/**
+ * Creates the tile source for a `raster` or `raster-dem` source.
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} url TileJSON url of the source.
+ * @param {Options} options Options.
+ * @return {Promise<TileJSON>} Resolves with the source when the TileJSON and
+ * the `tileMatrixSet` of the source are available, rejects when they cannot be
+ * loaded.
+ */
+function setupRasterSource(glSource, url, options) {
+    if (glSource.tileMatrixSet) {
+        return loadTileMatrixSet(glSource.tileMatrixSet, options.transformRequest).then(function (tileMatrixSetOptions) {
+            return createRasterSource(glSource, url, options, tileMatrixSetOptions);
+        });
+    }
+    return createRasterSource(glSource, url, options);
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object.
+ * @param {string} url TileJSON url of the source.
+ * @param {Options} options Options.
+ * @param {TileMatrixSetOptions} [tileMatrixSetOptions] Tile grid options of the
+ * `tileMatrixSet` of the source.
+ * @return {Promise<TileJSON>} Resolves with the source.
+ * @private
+ */
+function createRasterSource(glSource, url, options, tileMatrixSetOptions) {
     // const source = new TileJSON({
     //     transition: 0,
     //     url: glSource.tiles ? undefined : url,
@@ -541,67 +1136,330 @@ function setupRasterLayer(glSource, url) {
     // });
 
     //使raster图层支持其他空间参考，如：4490等 added by lipeng 2020.9.21
-    let proj = getProjection("EPSG:3857");
-    if (glSource.srs.indexOf("4490") > -1) {
-        initDefaultResolutions("EPSG:4490");
-        proj = getProjection("EPSG:4490");
-    }
+    const srs = tileMatrixSetOptions ? tileMatrixSetOptions.srs : getSourceSrs(glSource);
+    const gridOptions = tileMatrixSetOptions ? undefined : getTileGridOptions(srs);
 
-    var source = new TileJSON({
+    return createTileJSON(glSource, url, options, {
         transition: 0,
-        url: glSource.tiles ? undefined : url,
-        tileJSON: glSource.tiles ? glSource : undefined,
         crossOrigin: 'anonymous',
-        projection: proj  // added by lipeng 2020.9.21
+        projection: getProjection(srs),  // added by lipeng 2020.9.21
+        // Elevations are packed into the RGB values, which must not be blended
+        imageSmoothing: glSource.type !== 'raster-dem',
+        tileLoadFunction: tileMatrixSetOptions && hasCoalescedTiles(tileMatrixSetOptions) ?
+            createCoalescedImageLoadFunction(tileMatrixSetOptions, options.transformRequest) :
+            options.transformRequest ? createImageLoadFunction(options.transformRequest, 'Tile') : undefined
+    }).then(function (source) {
+        const promise = new Promise(function (resolve, reject) {
+            const key = source.on('change', function () {
+                const state = source.getState();
+                if (state === 'ready') {
+                    unByKey(key);
+                    const tileJSONDoc = /** @type {Object} */ (source.getTileJSON());
+                    const tiles = Array.isArray(tileJSONDoc.tiles) ? tileJSONDoc.tiles : [tileJSONDoc.tiles];
+                    const minZoom = tileJSONDoc.minzoom || 0;
+                    const maxZoom = tileJSONDoc.maxzoom || 22;
+                    const extent = extentFromTileJSON(tileJSONDoc, srs);
+                    // Only works when using ES modules
+                    if (tileMatrixSetOptions) {
+                        source.tileGrid = createTileMatrixSetGrid(tileMatrixSetOptions, minZoom, maxZoom, extent);
+                        source.set('mapbox-resolutions', extendResolutions(tileMatrixSetOptions.resolutions));
+                    } else {
+                        const tileSize = glSource.tileSize || tileJSONDoc.tileSize || gridOptions.tileSize;
+                        source.tileGrid = createTileGrid(srs, tileSize, minZoom, maxZoom, extent);
+                    }
+                    source.setTileUrlFunction(createTileUrlFunction(glSource, tiles, source.tileGrid, srs, gridOptions,
+                        tileMatrixSetOptions), tiles.join('\n'));
+                    resolve(source);
+                } else if (state === 'error') {
+                    unByKey(key);
+                    reject(new Error('Error accessing data for source ' + url));
+                }
+            });
+        });
+        if (source.getState() === 'ready') {
+            // Sources with inline `tiles` are ready right away
+            source.changed();
+        }
+        return promise;
+    }, function () {
+        throw new Error('Error accessing data for source ' + url);
     });
+}
 
-    const key = source.on('change', function () {
-        const state = source.getState();
-        if (state === 'ready') {
-            unByKey(key);
-
-            //对非3857空间参考，不使用下面重建TileGrid的代码 modified by lipeng 2020.9.21
-            if (glSource.srs.indexOf("3857") > -1) {
-                const tileJSONDoc = /** @type {Object} */ (source.getTileJSON());
-                const extent = extentFromTileJSON(tileJSONDoc);
-                const tileGrid = source.getTileGrid();
-                const tileSize = glSource.tileSize || tileJSONDoc.tileSize || 512;
-                const minZoom = tileJSONDoc.minzoom || 0;
-                const maxZoom = tileJSONDoc.maxzoom || 22;
-                // Only works when using ES modules
-                source.tileGrid = new TileGrid({
-                    origin: tileGrid.getOrigin(0),
-                    extent: extent || tileGrid.getExtent(),
-                    minZoom: minZoom,
-                    resolutions: createXYZ({
-                        maxZoom: maxZoom,
-                        tileSize: tileSize
-                    }).getResolutions(),
-                    tileSize: tileSize
-                });
-            }
-            layer.setSource(source);
-        } else if (state === 'error') {
-            unByKey(key);
-            layer.setSource(undefined);
-        }
+/**
+ * @param {Array<Array<number>>} coordinates Longitude and latitude of the top
+ * left, top right, bottom right and bottom left corners of an image.
+ * @param {ProjectionLike} projection Projection of the view.
+ * @return {Array<Array<number>>} The corners in the projection of the view.
+ * @throws {Error} When the corners do not form a convex quadrilateral.
+ */
+function getImageCorners(coordinates, projection) {
+    const invalid = new Error(`Invalid image coordinates: ${JSON.stringify(coordinates)}`);
+    if (!Array.isArray(coordinates) || coordinates.length != 4) {
+        throw invalid;
+    }
+    const corners = coordinates.map(function (coordinate) {
+        return fromLonLat(coordinate, projection);
     });
-    source.setTileLoadFunction(function (tile, src) {
-        if (src.indexOf('{bbox-epsg-3857}') != -1) {
-            const bbox = source.getTileGrid().getTileCoordExtent(tile.getTileCoord());
-            src = src.replace('{bbox-epsg-3857}', bbox.toString());
+    // All corners of a convex quadrilateral turn in the same direction
+    let turn = 0;
+    for (let i = 0; i < 4; ++i) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        const c = corners[(i + 2) % 4];
+        const cross = (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+        if (!cross || turn * cross < 0) {
+            throw invalid;
         }
-        const img = /** @type {import("ol-zhyt/ImageTile").default} */ (tile).getImage();
-    /** @type {HTMLImageElement} */ (img).src = src;
-    });
-    return layer;
+        turn = cross;
+    }
+    return corners;
 }
 
-const geoJsonFormat = new GeoJSON();
-// function setupGeoJSONLayer(glSource, path) { modified by lipeng 2020.9.23
-function setupGeoJSONLayer(glSource, glSourceId, path, map) {
-    const data = glSource.data;
-    let features, geoJsonUrl;
+/**
+ * @param {Array<Array<number>>} corners Top left, top right, bottom right and
+ * bottom left corners of an image, in the projection of the view.
+ * @param {Extent} extent Extent of the corners.
+ * @return {boolean} The image is upright, so it fills the extent of its corners.
+ */
+function isUprightImage(corners, extent) {
+    const tolerance = 1e-9 * Math.max(getWidth(extent), getHeight(extent));
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    return topLeft[0] < topRight[0] && bottomLeft[1] < topLeft[1] &&
+        Math.abs(topLeft[1] - topRight[1]) <= tolerance && Math.abs(bottomLeft[1] - bottomRight[1]) <= tolerance &&
+        Math.abs(topLeft[0] - bottomLeft[0]) <= tolerance && Math.abs(topRight[0] - bottomRight[0]) <= tolerance;
+}
+
+/**
+ * Draws a triangle of an image with an affine transform. The legs of the
+ * source triangle are parallel to the edges of the image.
+ * @param {CanvasRenderingContext2D} context Canvas context.
+ * @param {HTMLImageElement} image Image.
+ * @param {Array<Array<number>>} from Pixels of the triangle in the image: the
+ * right angle, the end of the horizontal and of the vertical leg.
+ * @param {Array<Array<number>>} to Pixels of the triangle on the canvas.
+ * @param {boolean} clip Clip to the triangle. Without clipping, the whole
+ * image is drawn with the transform of the triangle.
+ */
+function drawImageTriangle(context, image, from, to, clip) {
+    const dx = from[1][0] - from[0][0];
+    const dy = from[2][1] - from[0][1];
+    const a = (to[1][0] - to[0][0]) / dx;
+    const b = (to[1][1] - to[0][1]) / dx;
+    const c = (to[2][0] - to[0][0]) / dy;
+    const d = (to[2][1] - to[0][1]) / dy;
+    context.save();
+    if (clip) {
+        context.beginPath();
+        context.moveTo(to[0][0], to[0][1]);
+        context.lineTo(to[1][0], to[1][1]);
+        context.lineTo(to[2][0], to[2][1]);
+        context.closePath();
+        context.clip();
+    }
+    context.setTransform(a, b, c, d,
+        to[0][0] - a * from[0][0] - c * from[0][1], to[0][1] - b * from[0][0] - d * from[0][1]);
+    context.drawImage(image, 0, 0);
+    context.restore();
+}
+
+/**
+ * @param {Array<Array<number>>} corners Top left, top right, bottom right and
+ * bottom left corners of the image, in the projection of the view.
+ * @param {Extent} extent Extent of the corners.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {function(ImageWrapper, string)} Load function that warps the image
+ * to its corners, on a canvas that covers the extent.
+ */
+function createWarpedImageLoadFunction(corners, extent, transformRequest) {
+    return function (imageWrapper, src) {
+        const image = /** @type {HTMLImageElement} */ (imageWrapper.getImage());
+        loadImage(src, 'Image', transformRequest).then(function (sourceImage) {
+            const width = sourceImage.width;
+            const height = sourceImage.height;
+            // Keep the number of pixels of the image
+            let area = 0;
+            for (let i = 0; i < 4; ++i) {
+                const next = corners[(i + 1) % 4];
+                area += corners[i][0] * next[1] - next[0] * corners[i][1];
+            }
+            const resolution = Math.sqrt(Math.abs(area) / 2 / (width * height));
+            const canvas = createCanvas(
+                Math.max(1, Math.round(getWidth(extent) / resolution)),
+                Math.max(1, Math.round(getHeight(extent) / resolution)));
+            const pixels = corners.map(function (corner) {
+                return [
+                    (corner[0] - extent[0]) / getWidth(extent) * canvas.width,
+                    (extent[3] - corner[1]) / getHeight(extent) * canvas.height
+                ];
+            });
+            const [topLeft, topRight, bottomRight, bottomLeft] = pixels;
+            const context = canvas.getContext('2d');
+            // A parallelogram is drawn with one transform, other quadrilaterals
+            // are split into two triangles with a transform each.
+            const parallelogram = Math.abs(topLeft[0] + bottomRight[0] - topRight[0] - bottomLeft[0]) < 0.5 &&
+                Math.abs(topLeft[1] + bottomRight[1] - topRight[1] - bottomLeft[1]) < 0.5;
+            drawImageTriangle(context, sourceImage, [[0, 0], [width, 0], [0, height]],
+                [topLeft, topRight, bottomLeft], !parallelogram);
+            if (!parallelogram) {
+                drawImageTriangle(context, sourceImage, [[width, height], [0, height], [width, 0]],
+                    [bottomRight, bottomLeft, topRight], true);
+            }
+            image.src = canvas.toDataURL();
+        }, function () {
+            image.dispatchEvent(new Event('error'));
+        });
+    };
+}
+
+/**
+ * Creates an `ImageLayer` for an `image` source. The corners of the source's
+ * `coordinates` are transformed to the projection of the view. Images that
+ * are not upright in the view, e.g. rotated or skewed ones, are warped to
+ * their corners when loaded.
+ * @param {Object} glSource Mapbox Style source object of type `image`.
+ * @param {string} url Url of the image.
+ * @param {ProjectionLike} projection Projection of the view.
+ * @param {Options} options Options.
+ * @return {ImageLayer} Image layer.
+ * @throws {Error} When the `coordinates` do not form a convex quadrilateral.
+ */
+function setupImageLayer(glSource, url, projection, options) {
+    const corners = getImageCorners(glSource.coordinates, projection);
+    const extent = boundingExtent(corners);
+    let imageLoadFunction;
+    if (!isUprightImage(corners, extent)) {
+        imageLoadFunction = createWarpedImageLoadFunction(corners, extent, options.transformRequest);
+    } else if (options.transformRequest) {
+        imageLoadFunction = createImageLoadFunction(options.transformRequest, 'Image');
+    }
+    const layer = new ImageLayer({
+        source: new ImageStatic({
+            url: url,
+            imageExtent: extent,
+            projection: projection,
+            crossOrigin: 'anonymous',
+            imageLoadFunction: imageLoadFunction
+        })
+    });
+    setupRasterRendering(layer);
+    return layer;
+}
+
+/**
+ * Renders a `raster` or `image` layer with the canvas filter and resampling
+ * from its raster paint properties, which are set by
+ * `updateRasterLayerProperties()`.
+ * @param {Layer} layer Tile or image layer.
+ */
+function setupRasterRendering(layer) {
+    layer.on('prerender', function (event) {
+        const context = event.context;
+        context.save();
+        const filter = layer.get('mapbox-raster-filter');
+        if (filter) {
+            context.filter = filter;
+        }
+        if (layer.get('mapbox-raster-resampling') == 'nearest') {
+            context.imageSmoothingEnabled = false;
+        }
+    });
+    layer.on('postrender', function (event) {
+        event.context.restore();
+    });
+}
+
+/**
+ * Creates a canvas filter like the raster shader of Mapbox GL JS, which
+ * applies hue rotation, saturation, contrast and brightness in this order.
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @param {number} zoom Zoom level.
+ * @return {string} Canvas filter, `'none'` for the default paint properties.
+ */
+function getRasterFilter(glLayer, zoom) {
+    const filters = [];
+    const hueRotate = getValue(glLayer, 'paint', 'raster-hue-rotate', zoom, emptyObj);
+    if (hueRotate) {
+        filters.push(`hue-rotate(${hueRotate}deg)`);
+    }
+    const saturation = getValue(glLayer, 'paint', 'raster-saturation', zoom, emptyObj);
+    if (saturation) {
+        filters.push(`saturate(${saturation > 0 ? 1 / (1.001 - saturation) : 1 + saturation})`);
+    }
+    const contrast = getValue(glLayer, 'paint', 'raster-contrast', zoom, emptyObj);
+    if (contrast) {
+        filters.push(`contrast(${contrast > 0 ? 1 / (1 - contrast) : 1 + contrast})`);
+    }
+    const brightnessMin = getValue(glLayer, 'paint', 'raster-brightness-min', zoom, emptyObj);
+    const brightnessMax = getValue(glLayer, 'paint', 'raster-brightness-max', zoom, emptyObj);
+    if (brightnessMin !== 0 || brightnessMax !== 1) {
+        // Maps colors to brightnessMin + (brightnessMax - brightnessMin) * color
+        const sum = brightnessMin + brightnessMax;
+        filters.push(`invert(${sum ? brightnessMin / sum : 0}) brightness(${sum})`);
+    }
+    return filters.length ? filters.join(' ') : 'none';
+}
+
+/**
+ * Creates an `ImageLayer` for a Mapbox Style layer of type `hillshade`. The
+ * shading is calculated from the elevation tiles of the layer's `raster-dem`
+ * source, decoded according to the source's `encoding`. The elevation tiles are
+ * sampled without smoothing, so the packed elevations are decoded unaltered.
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @param {Object} glSource Mapbox Style source object of type `raster-dem`.
+ * @param {string} url TileJSON url of the source.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Options} options Options.
+ * @return {ImageLayer} Hillshade layer.
+ */
+function setupHillshadeLayer(glLayer, glSource, url, map, options) {
+    const layer = new ImageLayer();
+    const encoding = glSource.encoding || 'mapbox';
+    setupRasterSource(glSource, url, options).then(function (demSource) {
+        const source = new RasterSource({
+            sources: [demSource],
+            operationType: 'image',
+            operation: hillshade
+        });
+        source.on('beforeoperations', function (event) {
+            const data = event.data;
+            const view = map.getView();
+            const zoom = view.getZoom();
+            data.resolution = getPointResolution(view.getProjection(), event.resolution, getCenter(event.extent), 'm');
+            data.encoding = encoding;
+            data.exaggeration = getValue(glLayer, 'paint', 'hillshade-exaggeration', zoom, emptyObj);
+            data.azimuth = deg2rad(getValue(glLayer, 'paint', 'hillshade-illumination-direction', zoom, emptyObj));
+            if (getValue(glLayer, 'paint', 'hillshade-illumination-anchor', zoom, emptyObj) === 'viewport') {
+                data.azimuth -= view.getRotation();
+            }
+            data.shadowColor = colorToArray(getValue(glLayer, 'paint', 'hillshade-shadow-color', zoom, emptyObj));
+            data.highlightColor = colorToArray(getValue(glLayer, 'paint', 'hillshade-highlight-color', zoom, emptyObj));
+            data.accentColor = colorToArray(getValue(glLayer, 'paint', 'hillshade-accent-color', zoom, emptyObj));
+        });
+        layer.setSource(source);
+    }, function () {
+        layer.setSource(undefined);
+    });
+    return layer;
+}
+
+/**
+ * @param {Color} color Color.
+ * @return {Array<number>} Premultiplied `[r, g, b, a]`, with values between 0 and 1.
+ */
+function colorToArray(color) {
+    return [color.r, color.g, color.b, color.a];
+}
+
+function updateHillshadeLayerProperties(glLayer, layer, view) {
+    layer.setVisible(isVisibleAtZoom(glLayer, view.getZoom()));
+}
+
+const geoJsonFormat = new GeoJSON();
+// function setupGeoJSONLayer(glSource, path) { modified by lipeng 2020.9.23
+function setupGeoJSONLayer(glSource, glSourceId, path, map, sourceChanged, options = {}) {
+    const tiled = options.tileGeoJSON && !glSource.cluster;
+    const setupSource = tiled ? setupGeoJSONTileSource : setupGeoJSONSource;
 
     //对应用更改的样式，使用之前已存在的图层 modified by lipeng 2020.9.23
     let counter = 1;
@@ -613,34 +1471,430 @@ function setupGeoJSONLayer(glSource, glSourceId, path, map) {
 
     let layerId = [glSourceId, counter].join("_");
     var layer = getLayerByID(map, layerId);
-    if (layer) {
+    const projection = map.getView().getProjection();
+    if (layer && layer instanceof VectorTileLayer === tiled) {
+        if (sourceChanged) {
+            layer.setSource(setupSource(glSource, path, projection, options));
+        }
         return layer;
     }
 
-    if (typeof data == 'string') {
-        geoJsonUrl = withPath(data, path);
-    } else {
-        // features = geoJsonFormat.readFeatures(data, { featureProjection: 'EPSG:3857' });
-
-        //使geojson支持3857外的其他空间参考 modified by lipeng 2020.9.21
-        let srs = glSource.srs || "EPSG:3857";
-        features = geoJsonFormat.readFeatures(data, { featureProjection: srs });
-    }
-    return new VectorLayer({
-        source: new VectorSource({
-            attributions: glSource.attribution,
-            features: features,
-            format: geoJsonFormat,
-            url: geoJsonUrl
-        }),
+    layer = tiled ? new VectorTileLayer({
+        declutter: true,
+        source: setupSource(glSource, path, projection, options),
         visible: false
+    }) : new VectorLayer({
+        source: setupSource(glSource, path, projection, options),
+        visible: false
+    });
+    layer.set('id', layerId);
+    layer.set('isStyleCreated', true);
+    return layer;
+}
+
+/**
+ * Gets the spatial reference of GeoJSON data, from its `crs` member, or from
+ * the `dataSrs` of the source. Default is EPSG:4326.
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {Object} geojson GeoJSON object.
+ * @return {string} Spatial reference of the data.
+ * @throws {Error} When the spatial reference is not a known projection.
+ */
+function getGeoJSONDataSrs(glSource, geojson) {
+    const crs = geojson.crs;
+    let srs = glSource.dataSrs || 'EPSG:4326';
+    if (crs && crs.type == 'name') {
+        srs = getSrsForCrs(crs.properties.name);
+    } else if (crs && crs.type == 'EPSG') {
+        srs = 'EPSG:' + crs.properties.code;
+    }
+    if (!getProjection(srs)) {
+        throw new Error(`Unknown projection "${srs}"`);
+    }
+    return srs;
+}
+
+/**
+ * Reads the features of GeoJSON data. With `generateId: true`, features get
+ * their index in the data as id. With `promoteId`, they get the value of that
+ * property as id.
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {Object} geojson GeoJSON object.
+ * @param {ProjectionLike} featureProjection Projection to read the features
+ * into.
+ * @return {Array<Feature>} Features.
+ * @throws {Error} When the spatial reference of the data is not a known
+ * projection.
+ */
+function readGeoJSONFeatures(glSource, geojson, featureProjection) {
+    const features = /** @type {Array<Feature>} */ (geoJsonFormat.readFeatures(geojson, {
+        dataProjection: getGeoJSONDataSrs(glSource, geojson),
+        featureProjection: featureProjection
+    }));
+    const promoteId = glSource.promoteId;
+    if (glSource.generateId || promoteId) {
+        for (let i = 0, ii = features.length; i < ii; ++i) {
+            const feature = features[i];
+            const id = promoteId ? getPromotedId(promoteId, feature.getProperties()) : undefined;
+            if (id !== undefined) {
+                feature.setId(id);
+            } else if (glSource.generateId) {
+                feature.setId(i);
+            }
+        }
+    }
+    return features;
+}
+
+/**
+ * @param {string|Object<string, string>} promoteId `promoteId` of a source,
+ * a property name, or property names by source layer.
+ * @param {Object} properties Feature properties, with the source layer as
+ * `layer` for features of vector tiles.
+ * @return {string|number|undefined} Value of the property to use as feature id.
+ */
+function getPromotedId(promoteId, properties) {
+    const name = typeof promoteId == 'string' ? promoteId : promoteId[properties.layer];
+    return name === undefined ? undefined : properties[name];
+}
+
+/**
+ * Makes a vector tile format use the `promoteId` property of a source as
+ * feature id. Unlike with the `idProperty` option of the format, the property
+ * is kept, and the property name can be different for each source layer.
+ * @param {MVT} format Vector tile format.
+ * @param {string|Object<string, string>} [promoteId] `promoteId` of the source.
+ * @return {MVT} The format.
+ */
+function promoteFeatureIds(format, promoteId) {
+    if (!promoteId) {
+        return format;
+    }
+    const readFeatures = format.readFeatures;
+    format.readFeatures = function (source, options) {
+        return readFeatures.call(this, source, options).map(function (feature) {
+            const properties = feature.getProperties();
+            const id = getPromotedId(promoteId, properties);
+            if (id === undefined) {
+                return feature;
+            }
+            if (feature instanceof RenderFeature) {
+                // Render features are immutable
+                return new RenderFeature(feature.getType(), feature.getFlatCoordinates(), feature.getEnds(),
+                    properties, id);
+            }
+            feature.setId(id);
+            return feature;
+        });
+    };
+    return format;
+}
+
+/**
+ * @param {string} url Url of GeoJSON data.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<Object>} Resolves with the GeoJSON object.
+ */
+function fetchGeoJSON(url, transformRequest) {
+    return fetchResource(url, 'Source', transformRequest).then(function (response) {
+        if (!response.ok) {
+            throw new Error(`Error loading ${url}: ${response.statusText}`);
+        }
+        return response.json();
+    });
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {string} path Path of the style file, for relative `data` urls.
+ * @param {ProjectionLike} projection Projection of the
+ * view.
+ * @param {Options} options Options.
+ * @return {VectorSource} Source with the GeoJSON features, or a cluster source
+ * for sources with `cluster: true`.
+ */
+function setupGeoJSONSource(glSource, path, projection, options) {
+    const source = createGeoJSONSource(glSource, path, projection, options);
+    return glSource.cluster ? setupClusterSource(glSource, source) : source;
+}
+
+/**
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {string} path Path of the style file, for relative `data` urls.
+ * @param {ProjectionLike} projection Projection of the
+ * view. Inline data is read into it when the source is created.
+ * @param {Options} options Options.
+ * @return {VectorSource} Source with the GeoJSON features. When data from a url
+ * cannot be loaded or read, an `error` event with the `error` is dispatched on
+ * the source.
+ */
+function createGeoJSONSource(glSource, path, projection, options) {
+    const data = glSource.data;
+    const source = new VectorSource({
+        attributions: glSource.attribution,
+        features: typeof data == 'string' ? undefined : readGeoJSONFeatures(glSource, data, projection),
+        loader: function (extent, resolution, projection) {
+            const url = source.get('mapbox-geojson-data');
+            if (typeof url != 'string') {
+                return;
+            }
+            fetchGeoJSON(withPath(url, path), options.transformRequest)
+                .then(function (geojson) {
+                    if (source.get('mapbox-geojson-data') === url) {
+                        source.addFeatures(readGeoJSONFeatures(glSource, geojson, projection));
+                    }
+                })
+                .catch(function (error) {
+                    // Data that cannot be loaded is rendered without features
+                    const event = new BaseEvent('error');
+                    /** @type {?} */ (event).error = error;
+                    source.dispatchEvent(event);
+                });
+        }
+    });
+    // Replaced by `setGeoJSONData()`
+    source.set('mapbox-geojson-data', data);
+    return source;
+}
+
+/**
+ * Creates a `VectorTileSource` that slices the features of a `geojson` source
+ * into vector tiles on the client.
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {string} path Path of the style file, for relative `data` urls.
+ * @param {ProjectionLike} projection Projection of the view, not used because
+ * features are read into the `srs` of the source.
+ * @param {Options} options Options.
+ * @return {VectorTileSource} Source with the GeoJSON features as vector tiles.
+ */
+function setupGeoJSONTileSource(glSource, path, projection, options) {
+    const srs = getSourceSrs(glSource);
+    const gridOptions = getTileGridOptions(srs);
+    let data, indexPromise;
+    const source = new VectorTileSource({
+        attributions: glSource.attribution,
+        projection: getProjection(srs),
+        tileGrid: createTileGrid(srs, gridOptions.tileSize, 0, 'maxzoom' in glSource ? glSource.maxzoom : 18),
+        tileUrlFunction: function (tileCoord) {
+            // Only used as key for the tile cache
+            return tileCoord.join('/');
+        },
+        tileLoadFunction: function (tile) {
+            tile.setLoader(function (extent) {
+                // The index is created once for the current data
+                if (source.get('mapbox-geojson-data') !== data || !indexPromise) {
+                    data = source.get('mapbox-geojson-data');
+                    const dataPromise = typeof data == 'string' ? fetchGeoJSON(withPath(data, path), options.transformRequest) :
+                        Promise.resolve(data);
+                    indexPromise = dataPromise.then(function (geojson) {
+                        return createGeoJSONTileIndex(readGeoJSONFeatures(glSource, geojson, srs), {
+                            buffer: 'buffer' in glSource ? glSource.buffer : 128,
+                            tolerance: 'tolerance' in glSource ? glSource.tolerance : 0.375
+                        });
+                    });
+                }
+                indexPromise.then(function (index) {
+                    tile.setFeatures(getTileFeatures(index, extent));
+                }, function () {
+                    tile.onError();
+                });
+            });
+        }
+    });
+    // Replaced by `setGeoJSONData()`
+    source.set('mapbox-geojson-data', glSource.data);
+    return source;
+}
+
+/**
+ * Creates a source with the clusters of the points of a `geojson` source on
+ * each zoom level up to `clusterMaxZoom`, like Mapbox GL JS. Clusters have the
+ * `cluster`, `cluster_id`, `point_count` and `point_count_abbreviated`
+ * properties, and the aggregated `clusterProperties`. The clustered source is
+ * the `mapbox-clustered-source` of the cluster source.
+ * @param {Object} glSource Mapbox Style source object of type `geojson`.
+ * @param {VectorSource} source Source with the GeoJSON features.
+ * @return {VectorSource} Cluster source.
+ */
+function setupClusterSource(glSource, source) {
+    const maxZoom = 'maxzoom' in glSource ? glSource.maxzoom : 18;
+    const options = {
+        radius: 'clusterRadius' in glSource ? glSource.clusterRadius : 50,
+        maxZoom: Math.min('clusterMaxZoom' in glSource ? glSource.clusterMaxZoom : maxZoom - 1, maxZoom - 1),
+        minPoints: 'clusterMinPoints' in glSource ? glSource.clusterMinPoints : 2,
+        properties: glSource.clusterProperties,
+        resolutions: getSourceResolutions(glSource)
+    };
+    let zoom;
+    const clusterSource = new VectorSource({
+        attributions: glSource.attribution,
+        loader: function (extent, resolution, projection) {
+            source.loadFeatures(extent, resolution, projection);
+            clusterSource.addFeatures(getClusters(getClusterIndex(clusterSource), zoom));
+        },
+        strategy: function (extent, resolution) {
+            // Clusters only change with the integer zoom level
+            const clusterZoom = Math.floor(getZoomForResolution(resolution, options.resolutions));
+            if (clusterZoom !== zoom) {
+                zoom = clusterZoom;
+                clusterSource.refresh();
+            }
+            return allStrategy(extent, resolution);
+        }
+    });
+    clusterSource.set('mapbox-clustered-source', source);
+    clusterSource.set('mapbox-cluster-options', options);
+    source.on('change', function () {
+        clusterSource.refresh();
+    });
+    source.on('error', function (event) {
+        const clusterEvent = new BaseEvent('error');
+        /** @type {?} */ (clusterEvent).error = event.error;
+        clusterSource.dispatchEvent(clusterEvent);
     });
+    return clusterSource;
+}
+
+/**
+ * @param {VectorSource} clusterSource Cluster source.
+ * @return {ClusterIndex} Cluster index for the current
+ * features of the source.
+ */
+function getClusterIndex(clusterSource) {
+    const source = clusterSource.get('mapbox-clustered-source');
+    let index = clusterSource.get('mapbox-cluster-index');
+    if (!index || index.revision !== source.getRevision()) {
+        index = createClusterIndex(source.getFeatures(), clusterSource.get('mapbox-cluster-options'));
+        index.revision = source.getRevision();
+        clusterSource.set('mapbox-cluster-index', index, true);
+    }
+    return index;
+}
+
+/**
+ * Creates a `HeatmapLayer` for a Mapbox Style layer of type `heatmap`. Unlike
+ * other layers, heatmap layers are never combined with other Mapbox Style
+ * layers in one OpenLayers layer, because OpenLayers renders all features of a
+ * heatmap's source.
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @param {Object} glSource Mapbox Style source object, `vector` or `geojson`.
+ * @param {string} url TileJSON url of a `vector` source.
+ * @param {string} path Path of the style file, for relative `data` urls.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Options} options Options.
+ * @return {HeatmapLayer} Heatmap layer.
+ */
+function setupHeatmapLayer(glLayer, glSource, url, path, map, options) {
+    const layer = new HeatmapLayer({
+        weight: function (feature) {
+            const zoom = map.getView().getZoom();
+            const f = {
+                id: feature.getId(),
+                properties: feature.getProperties(),
+                type: 1
+            };
+            if (glLayer.filter && !evaluateFilter(glLayer.id, glLayer.filter, f, zoom)) {
+                return 0;
+            }
+            return getValue(glLayer, 'paint', 'heatmap-weight', zoom, f) *
+                getValue(glLayer, 'paint', 'heatmap-intensity', zoom, emptyObj);
+        }
+    });
+    if (glSource.type == 'geojson') {
+        layer.setSource(setupGeoJSONSource(glSource, path, map.getView().getProjection(), options));
+    } else if (glSource.type == 'vector') {
+        setupVectorSource(glSource, url, [glLayer], map, options).then(function (tileSource) {
+            layer.setSource(setupHeatmapTileSource(tileSource, glLayer['source-layer'], glSource.promoteId,
+                options.transformRequest));
+        }, function () {
+            layer.setSource(undefined);
+        });
+    }
+    return layer;
+}
+
+/**
+ * Creates a `VectorSource` that loads the point features of one source layer
+ * from the tiles of a `VectorTileSource`, because the heatmap renderer cannot
+ * use vector tiles directly. Only features of the tiles for the current zoom
+ * level are kept.
+ * @param {VectorTileSource} tileSource Vector tile source.
+ * @param {string} sourceLayer Source layer name.
+ * @param {string|Object<string, string>} [promoteId] `promoteId` of the source.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {VectorSource} Source with the features of the loaded tiles.
+ */
+function setupHeatmapTileSource(tileSource, sourceLayer, promoteId, transformRequest) {
+    const tileGrid = tileSource.getTileGrid();
+    const tileUrlFunction = tileSource.getTileUrlFunction();
+    const format = promoteFeatureIds(new MVT({
+        featureClass: Feature,
+        layers: [sourceLayer]
+    }), promoteId);
+    let sourceZ;
+    const source = new VectorSource({
+        attributions: tileSource.getAttributions(),
+        strategy: tileStrategy(tileGrid),
+        loader: function (extent, resolution, projection) {
+            const tileCoord = tileGrid.getTileCoordForCoordAndResolution(getCenter(extent), resolution);
+            const z = tileCoord[0];
+            if (z !== sourceZ) {
+                sourceZ = z;
+                source.clear(true);
+            }
+            const src = tileUrlFunction(tileCoord, 1, projection);
+            if (!src) {
+                return;
+            }
+            fetchResource(src, 'Tile', transformRequest)
+                .then(function (response) {
+                    if (response.ok) {
+                        return response.arrayBuffer();
+                    }
+                })
+                .then(function (data) {
+                    if (data && z === sourceZ) {
+                        source.addFeatures(/** @type {Array<Feature>} */ (format.readFeatures(data, {
+                            extent: extent,
+                            featureProjection: projection
+                        })));
+                    }
+                })
+                .catch(function () {
+                    // Tiles that cannot be loaded are rendered without data
+                });
+        }
+    });
+    return source;
+}
+
+function updateHeatmapLayerProperties(glLayer, layer, view) {
+    const zoom = view.getZoom();
+    layer.setVisible(isVisibleAtZoom(glLayer, zoom));
+    // Mapbox GL's heatmap-radius is the radius of the whole kernel, OpenLayers
+    // renders the blur around the radius.
+    const radius = getValue(glLayer, 'paint', 'heatmap-radius', zoom, emptyObj);
+    layer.setRadius(radius / 2);
+    layer.setBlur(radius / 2);
+    layer.setOpacity(getValue(glLayer, 'paint', 'heatmap-opacity', zoom, emptyObj));
+    const gradient = getHeatmapGradient(glLayer, zoom, 32);
+    if (gradient.join() !== layer.getGradient().join()) {
+        layer.setGradient(gradient);
+    }
 }
 
 function updateRasterLayerProperties(glLayer, layer, view) {
+    layer.setVisible(glLayer.layout ? glLayer.layout.visibility !== 'none' : true);
     const zoom = view.getZoom();
     const opacity = getValue(glLayer, 'paint', 'raster-opacity', zoom, emptyObj);
     layer.setOpacity(opacity);
+    const filter = getRasterFilter(glLayer, zoom);
+    const resampling = getValue(glLayer, 'paint', 'raster-resampling', zoom, emptyObj);
+    if (filter !== layer.get('mapbox-raster-filter') || resampling !== layer.get('mapbox-raster-resampling')) {
+        layer.set('mapbox-raster-filter', filter);
+        layer.set('mapbox-raster-resampling', resampling);
+        layer.changed();
+    }
 }
 
 //矢量图层计数器，并保存了矢量图层的数组，用于应用修改后样式时，重用/删除废弃图层
@@ -649,7 +1903,94 @@ let VectorLayerCounter = {
     layers: []
 }
 
-function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
+/**
+ * Resolves `mapbox://` and relative `sprite` urls of a Mapbox Style object,
+ * also for the sheets of sprite arrays.
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {string} baseUrl Base url of a Mapbox style url.
+ * @param {string} host Host of the style url.
+ * @param {string} path Path of the style url.
+ * @param {string} accessToken Access token query string.
+ */
+function resolveSprite(glStyle, baseUrl, host, path, accessToken) {
+    const sprite = glStyle.sprite;
+    if (Array.isArray(sprite)) {
+        glStyle.sprite = sprite.map(function (sheet) {
+            return assign({}, sheet, {
+                url: resolveSpriteUrl(sheet.url, baseUrl, host, path, accessToken)
+            });
+        });
+    } else if (sprite) {
+        glStyle.sprite = resolveSpriteUrl(sprite, baseUrl, host, path, accessToken);
+    }
+}
+
+/**
+ * @param {string} url Sprite url.
+ * @param {string} baseUrl Base url of a Mapbox style url.
+ * @param {string} host Host of the style url.
+ * @param {string} path Path of the style url.
+ * @param {string} accessToken Access token query string.
+ * @return {string} Resolved sprite url.
+ */
+function resolveSpriteUrl(url, baseUrl, host, path, accessToken) {
+    if (url.indexOf('mapbox://') == 0) {
+        return baseUrl + '/sprite' + accessToken;
+    } else if (url.indexOf('http') != 0) {
+        return (host ? (host + path) : '') + url + accessToken;
+    }
+    return url;
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @return {string} Spatial reference of the first source with an `srs` that
+ * has a registered tile grid, or `EPSG:3857`.
+ */
+function getStyleSRS(glStyle) {
+    for (const id in glStyle.sources) {
+        const srs = glStyle.sources[id].srs;
+        if (srs && hasTileGrid(srs)) {
+            return srs;
+        }
+    }
+    return 'EPSG:3857';
+}
+
+/**
+ * @typedef {Object} StyleChanges
+ * @property {Object<string, boolean>} layers Ids of added or changed layers.
+ * @property {Object<string, boolean>} sources Ids of added or changed sources.
+ * @private
+ */
+
+/**
+ * Creates the OpenLayers layers for a Mapbox Style object, or updates the ones
+ * created for a previous style.
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} baseUrl Base url of a Mapbox style url.
+ * @param {string} host Host of the style url.
+ * @param {string} path Path of the style url.
+ * @param {string} accessToken Access token query string.
+ * @param {Options} options Options.
+ * @param {StyleChanges} [changes] Changes since the previous style. When not
+ * provided, all layers are styled again.
+ * @return {Promise} Resolves when all changed layers are styled.
+ */
+function processStyle(glStyle, map, baseUrl, host, path, accessToken, options, changes) {
+    if (options.validate) {
+        const errors = validateStyle(glStyle);
+        map.set('mapbox-style-errors', errors);
+        if (errors.length && options.validate == 'strict') {
+            const error = new Error(`Invalid style: ${errors.map(formatStyleError).join(', ')}`);
+            /** @type {?} */ (error).errors = errors;
+            return Promise.reject(error);
+        }
+        if (errors.length) {
+            glStyle = removeInvalidLayers(glStyle, errors);
+        }
+    }
     //触发自定义mapbox-style-applied事件，并将style存储在事件对象中 added by lipeng 2020.9.11
     map.dispatchEvent(new MapEvent("mapbox-style-applied", map, glStyle));
 
@@ -659,16 +2000,20 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
     }
 
     const promises = [];
+    // Zoom levels of the style follow the tile grid of its sources
+    const srs = getStyleSRS(glStyle);
+    initDefaultResolutions(srs);
     let view = map.getView();
     if (!view.isDef() && !view.getRotation() && !view.getResolutions()) {
         view = new View({
+            projection: srs,
             maxResolution: defaultResolutions[0]
         });
         map.setView(view);
     }
 
     if ('center' in glStyle && !view.getCenter()) {
-        view.setCenter(fromLonLat(glStyle.center));
+        view.setCenter(fromLonLat(glStyle.center, view.getProjection()));
     }
     if ('zoom' in glStyle && view.getZoom() === undefined) {
         view.setResolution(defaultResolutions[0] / Math.pow(2, glStyle.zoom));
@@ -679,27 +2024,81 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
             size: map.getSize()
         });
     }
-    if (glStyle.sprite) {
-        if (glStyle.sprite.indexOf('mapbox://') == 0) {
-            glStyle.sprite = baseUrl + '/sprite' + accessToken;
-        } else if (glStyle.sprite.indexOf('http') != 0) {
-            glStyle.sprite = (host ? (host + path) : '') + glStyle.sprite + accessToken;
-        }
+    resolveSprite(glStyle, baseUrl, host, path, accessToken);
+    if (!glStyle.sprite) {
+        map.unset('mapbox-sprite');
     }
+    // Keep a copy of the style, and what is needed to resolve its urls, for
+    // diffing in setStyle()
+    map.set('mapbox-style-state', {
+        glStyle: JSON.parse(JSON.stringify(glStyle)),
+        baseUrl: baseUrl,
+        host: host,
+        path: path,
+        accessToken: accessToken,
+        options: options
+    });
 
     const glLayers = glStyle.layers;
-
-    //修改样式json时，删除不存在图层 modified by lipeng 2020.9.23
-    removeUnExistLayer(map, glLayers);
+    const olLayers = [];
+
+    function finalize(layer, layerIds) {
+        olLayers.push(layer);
+        const mapboxLayers = layer.get('mapbox-layers');
+        if (changes && mapboxLayers && mapboxLayers.join('\n') === layerIds.join('\n') &&
+            !layerIds.some(function (layerId) {
+                return layerId in changes.layers;
+            })) {
+            // Reused layer, with the same style as before
+            return;
+        }
+        promises.push(finalizeLayer(layer, layerIds, glStyle, path, map, options));
+    }
 
     let layerIds = [];
 
-    let glLayer, glSource, glSourceId, id, layer, url;
+    let glLayer, glSource, glSourceId, id, layer, url, sourceChanged;
     for (let i = 0, ii = glLayers.length; i < ii; ++i) {
         glLayer = glLayers[i];
         const type = glLayer.type;
         if (type == 'heatmap' || type == 'hillshade') {
-            //FIXME Unsupported layer type
+            // Heatmap and hillshade layers get an OpenLayers layer of their own
+            if (layerIds.length) {
+                finalize(layer, layerIds);
+                layerIds = [];
+            }
+            glSourceId = undefined;
+            id = glLayer.source;
+            glSource = assign({}, glStyle.sources[id]);
+            url = getSourceUrl(glSource, path, accessToken);
+            layer = getLayerByID(map, glLayer.id);
+            if (layer && (!changes || glLayer.id in changes.layers || id in changes.sources)) {
+                // The layers use the glLayer in callbacks, so they are not reused
+                view.un('change:resolution', layer.get('event_change_resolution'));
+                map.removeLayer(layer);
+                layer = undefined;
+            }
+            if (!layer) {
+                clearLayerCaches(glLayer.id);
+                let update;
+                if (type == 'heatmap') {
+                    layer = setupHeatmapLayer(glLayer, glSource, url, path, map, options);
+                    update = updateHeatmapLayerProperties;
+                } else {
+                    layer = setupHillshadeLayer(glLayer, glSource, url, map, options);
+                    update = updateHillshadeLayerProperties;
+                }
+                layer.set('id', glLayer.id);
+                layer.set('isStyleCreated', true);
+                layer.set('mapbox-source', id);
+
+                let callback = update.bind(this, glLayer, layer, view);
+                layer.set('event_change_resolution', callback);
+                view.on('change:resolution', callback);
+                callback();
+            }
+
+            finalize(layer, [glLayer.id]);
         } else if (type == 'background') {
             setBackground(map, glLayer);
         } else {
@@ -707,43 +2106,35 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
             // this technique assumes gl layers will be in a particular order
             if (id != glSourceId) {
                 if (layerIds.length) {
-                    promises.push(finalizeLayer(layer, layerIds, glStyle, path, map));
+                    finalize(layer, layerIds);
                     layerIds = [];
                 }
-                glSource = glStyle.sources[id];
-                url = glSource.url;
-                if (url) {
-                    url = withPath(url, path);
-                    if (url.indexOf('mapbox://') == 0) {
-                        const mapid = url.replace('mapbox://', '');
-                        glSource.tiles = ['a', 'b', 'c', 'd'].map(function (host) {
-                            return 'https://' + host + '.tiles.mapbox.com/v4/' + mapid +
-                                '/{z}/{x}/{y}.' +
-                                (glSource.type == 'vector' ? 'vector.pbf' : 'png') +
-                                accessToken;
-                        });
-                    }
-                }
-
+                glSource = assign({}, glStyle.sources[id]);
+                url = getSourceUrl(glSource, path, accessToken);
+                // Without changes, vector and raster layers are reused with
+                // their sources, and geojson sources are created again.
+                sourceChanged = changes ? id in changes.sources : glSource.type == 'geojson';
 
                 if (glSource.type == 'vector') {
                     // layer = setupVectorLayer(glSource, accessToken, url);
                     //增加数据源key作为参数  modified by lipeng 2020.9.23
-                    layer = setupVectorLayer(glSource, id, accessToken, url, glStyle.layers, map);
-                } else if (glSource.type == 'raster') {
+                    layer = setupVectorLayer(glSource, id, accessToken, url, glStyle.layers, map, sourceChanged, options);
+                } else if (glSource.type == 'raster' || glSource.type == 'image') {
                     // layer = setupRasterLayer(glSource, url);
 
                     //对已存在、初始创建两种情况分别设置 modified by lipeng 2020.9.23
                     layer = getLayerByID(map, glLayer.id);
-                    if (!layer) {
-                        layer = setupRasterLayer(glSource, url);
+                    const image = glSource.type == 'image';
+                    if (!layer || sourceChanged || !(layer instanceof (image ? ImageLayer : TileLayer))) {
+                        layer = image ? setupImageLayer(glSource, url, view.getProjection(), options) : setupRasterLayer(glSource, url, options);
                         layer.set("id", glLayer.id);
                         layer.set('isStyleCreated', true);
                     } else {
                         view.un('change:resolution', layer.get("event_change_resolution"));
                     }
-
-                    layer.setVisible(glLayer.layout ? glLayer.layout.visibility !== 'none' : true);
+                    if (!changes || glLayer.id in changes.layers) {
+                        clearLayerCaches(glLayer.id);
+                    }
 
                     // view.on('change:resolution', updateRasterLayerProperties.bind(this, glLayer, layer, view));
 
@@ -756,7 +2147,7 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
                 } else if (glSource.type == 'geojson') {
                     // layer = setupGeoJSONLayer(glSource, path); 
                     //modified by lipeng 2020.9.23
-                    layer = setupGeoJSONLayer(glSource, id, path, map);
+                    layer = setupGeoJSONLayer(glSource, id, path, map, sourceChanged, options);
                 }
                 glSourceId = id;
                 if (layer) {
@@ -766,46 +2157,50 @@ function processStyle(glStyle, map, baseUrl, host, path, accessToken) {
             layerIds.push(glLayer.id);
         }
     }
-    promises.push(finalizeLayer(layer, layerIds, glStyle, path, map));
+    if (layerIds.length) {
+        finalize(layer, layerIds);
+    }
+
+    //修改样式json时，删除不存在图层 modified by lipeng 2020.9.23
+    updateLayerStack(map, olLayers);
+
     map.set('mapbox-style', glStyle);
     return Promise.all(promises);
 }
 
 /**
- * @description 从地图中删除已经不存在于glLayers中的图层
- * @param {ol.Map} map 
- * @param {Array} glLayers 
- * @author lipeng
- * @since 2020.9.23
+ * Removes layers that were created for a previous style and are not used by
+ * the current style from the map, and puts the layers of the current style in
+ * the order of the style's layers.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Array<Layer>} olLayers Layers of the current style, in rendering order.
  */
-function removeUnExistLayer(map, glLayers) {
-    let layers = map.getLayers(),
-        idTemp = void 0,
-        isStyleCreated = false,
-        isExist = false,
-        layerTemp = void 0;
-    for (let i = 0; i < layers.length; i++) {
-        layerTemp = layers[i];
-        idTemp = layerTemp.get("id");
-        isStyleCreated = layerTemp.get('isStyleCreated');
-        if (isStyleCreated === false || !idTemp) {
-            continue;
-        }
-
-        isExist = false;
-
-        for (let j = 0; j < glLayers.length; j++) {
-            const glLayer = glLayers[j];
-            if (idTemp === glLayer.id) {
-                isExist = true;
+function updateLayerStack(map, olLayers) {
+    const layers = map.getLayers();
+    const previousLayers = layers.getArray().slice();
+    for (let i = 0, ii = previousLayers.length; i < ii; ++i) {
+        const layer = previousLayers[i];
+        if (layer.get('isStyleCreated') && olLayers.indexOf(layer) === -1) {
+            const callback = layer.get('event_change_resolution');
+            if (callback) {
+                map.getView().un('change:resolution', callback);
             }
+            layers.remove(layer);
         }
-
-        if (!isExist) {
-            if (layerTemp instanceof TileLayer) {
-                map.getView().un('change:resolution', layerTemp.get("event_change_resolution"));
-            }
-            map.removeLayer(layerTemp);
+    }
+    const styleLayers = layers.getArray().filter(function (layer) {
+        return olLayers.indexOf(layer) !== -1;
+    });
+    const sorted = styleLayers.every(function (layer, i) {
+        return layer === olLayers[i];
+    });
+    if (!sorted) {
+        const index = layers.getArray().indexOf(styleLayers[0]);
+        for (let i = 0, ii = olLayers.length; i < ii; ++i) {
+            layers.remove(olLayers[i]);
+        }
+        for (let i = 0, ii = olLayers.length; i < ii; ++i) {
+            layers.insertAt(index + i, olLayers[i]);
         }
     }
 }
@@ -864,12 +2259,13 @@ function getLayerByID(map, layerID) {
  * they are defined by a TileJSON url in the Mapbox Style document). When passed
  * as style url, layers will be added to the map when the Mapbox Style document
  * is loaded and parsed.
+ * @param {Options} [options={}] Options.
  * @return {Promise} A promise that resolves after all layers have been added to
  * the OpenLayers Map instance, their sources set, and their styles applied. the
  * `resolve` callback will be called with the OpenLayers Map instance as
  * argument.
  */
-export default function olms(map, style) {
+export default function olms(map, style, options = {}) {
 
     let accessToken, baseUrl, host, path, promise;
     accessToken = baseUrl = host = path = '';
@@ -887,9 +2283,7 @@ export default function olms(map, style) {
             accessToken = parts.length > 2 ? parts[2] : '';
         }
         promise = new Promise(function (resolve, reject) {
-            fetch(style, {
-                credentials: 'same-origin'
-            })
+            fetchResource(style, 'Style', options.transformRequest)
                 .then(function (response) {
                     return response.json();
                 })
@@ -900,7 +2294,7 @@ export default function olms(map, style) {
                     path = a.pathname.split('/').slice(0, -1).join('/') + '/';
                     host = href.substr(0, href.indexOf(path));
 
-                    processStyle(glStyle, map, baseUrl, host, path, accessToken)
+                    processStyle(glStyle, map, baseUrl, host, path, accessToken, options)
                         .then(function () {
                             resolve(map);
                         })
@@ -912,7 +2306,7 @@ export default function olms(map, style) {
         });
     } else {
         promise = new Promise(function (resolve, reject) {
-            processStyle(style, map)
+            processStyle(style, map, baseUrl, host, path, accessToken, options)
                 .then(function () {
                     resolve(map);
                 })
@@ -941,46 +2335,1358 @@ export default function olms(map, style) {
  * they are defined by a TileJSON url in the Mapbox Style document). When passed
  * as style url, layers will be added to the map when the Mapbox Style document
  * is loaded and parsed.
+ * @param {Options} [options={}] Options.
  * @return {PluggableMap} The OpenLayers Map instance that will be populated with the
  * contents described in the Mapbox Style object.
  */
-export function apply(map, style) {
+export function apply(map, style, options = {}) {
     if (typeof map === 'string' || map instanceof HTMLElement) {
         map = new Map({
             target: map
         });
     }
     setTimeout(function () {
-        olms(map, style);
+        olms(map, style, options);
     }, 0);
     return map;
 }
 
-
 /**
- * @private
- * If layerIds is not empty, applies the style specified in glStyle to the layer,
- * and adds the layer to the map.
+ * ```js
+ * import {setStyle} from 'ol-mapbox-style';
+ * ```
+ * Updates a map that `olms()` or `apply()` was called with to a modified
+ * Mapbox Style object. The new style is compared to the previous one, and only
+ * the OpenLayers layers and sources of changed Mapbox Style layers and sources
+ * are updated, so unchanged layers keep their tiles and features.
  *
- * The layer may not yet have a source when the function is called.  If so, the style
- * is applied to the layer via a once listener on the 'change:source' event.
+ * A change of the style's `version` or `sprite` applies the whole style again.
+ * `center`, `zoom`, `bearing` and `pitch` are not applied, like with `olms()`
+ * for a map that already has a view.
  *
- * @param {Layer} layer An OpenLayers layer instance.
- * @param {Array<string>} layerIds Array containing layer ids of already-processed layers.
- * @param {Object} glStyle Style as a JSON object.
- * @param {string|undefined} path The path part of the style URL. Only required
- * when a relative path is used with the `"sprite"` property of the style.
  * @param {PluggableMap} map OpenLayers Map.
- * @return {Promise} Returns a promise that resolves after the source has
- * been set on the specified layer, and the style has been applied.
+ * @param {string|Object} glStyle Mapbox Style object. When a style url is
+ * provided, or when no style was applied to the map before, the style is
+ * applied like with `olms()`.
+ * @param {Options} [options={}] Options.
+ * @return {Promise} Resolves with the OpenLayers Map instance when the changed
+ * layers are styled.
  */
-function finalizeLayer(layer, layerIds, glStyle, path, map) {
-    let minZoom = 24;
-    let maxZoom = 0;
-    const glLayers = glStyle.layers;
-    for (let i = 0, ii = glLayers.length; i < ii; ++i) {
-        const glLayer = glLayers[i];
-        if (layerIds.indexOf(glLayer.id) !== -1) {
+export function setStyle(map, glStyle, options = {}) {
+    const state = map.get('mapbox-style-state');
+    if (!state || typeof glStyle != 'object') {
+        return olms(map, glStyle, options);
+    }
+    resolveSprite(glStyle, state.baseUrl, state.host, state.path, state.accessToken);
+    const previousLayers = {};
+    state.glStyle.layers.forEach(function (glLayer) {
+        previousLayers[glLayer.id] = glLayer;
+    });
+    const changes = {
+        layers: {},
+        sources: {}
+    };
+    const refreshSources = {};
+    let reapply = false;
+    const commands = diff(state.glStyle, glStyle);
+    for (let i = 0, ii = commands.length; i < ii; ++i) {
+        const command = commands[i].command;
+        const args = commands[i].args;
+        switch (command) {
+            case 'setStyle':
+            case 'setSprite':
+                reapply = true;
+                break;
+            case 'addLayer':
+                changes.layers[args[0].id] = true;
+                break;
+            case 'setPaintProperty':
+            case 'setLayoutProperty':
+            case 'setFilter':
+            case 'setLayerZoomRange':
+            case 'setLayerProperty':
+                changes.layers[args[0]] = true;
+                break;
+            case 'addSource':
+            case 'setGeoJSONSourceData':
+                changes.sources[args[0]] = true;
+                break;
+            case 'setLight':
+                glStyle.layers.forEach(function (glLayer) {
+                    if (glLayer.type == 'fill-extrusion') {
+                        changes.layers[glLayer.id] = true;
+                    }
+                });
+                break;
+            default:
+                // Removed layers and sources are handled by not reusing their
+                // OpenLayers layers, view and glyphs changes are not applied.
+        }
+        if (command == 'setLayoutProperty' || command == 'setLayerZoomRange') {
+            const glLayer = getGlLayer(glStyle, args[0]);
+            if (glLayer && previousLayers[args[0]] && extendsVisibility(previousLayers[args[0]], glLayer)) {
+                refreshSources[glLayer.source] = true;
+            }
+        }
+    }
+    return processStyle(glStyle, map, state.baseUrl, state.host, state.path, state.accessToken,
+        options, reapply ? undefined : changes).then(function () {
+        for (const sourceId in refreshSources) {
+            const source = getSource(map, sourceId);
+            if (source instanceof VectorTileSource) {
+                // Features of source layers that were not visible were not parsed
+                LayerZoomMap = {};
+                source.refresh();
+            }
+        }
+        return map;
+    });
+}
+
+/**
+ * ```js
+ * import {setPaintProperty} from 'ol-mapbox-style';
+ * ```
+ * Sets a paint property of a Mapbox Style layer, and re-renders the OpenLayers
+ * layer that contains it.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Paint property name.
+ * @param {*} value Paint property value, or `undefined` to use the default.
+ * @throws {Error} When the layer does not exist or the value is invalid.
+ */
+export function setPaintProperty(map, layerId, name, value) {
+    updateStyleLayer(map, layerId, function (glLayer) {
+        setLayerValue(glLayer, 'paint', name, value);
+    });
+}
+
+/**
+ * ```js
+ * import {setLayoutProperty} from 'ol-mapbox-style';
+ * ```
+ * Sets a layout property of a Mapbox Style layer, and re-renders the
+ * OpenLayers layer that contains it.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} name Layout property name.
+ * @param {*} value Layout property value, or `undefined` to use the default.
+ * @throws {Error} When the layer does not exist or the value is invalid.
+ */
+export function setLayoutProperty(map, layerId, name, value) {
+    updateStyleLayer(map, layerId, function (glLayer) {
+        setLayerValue(glLayer, 'layout', name, value);
+    });
+}
+
+/**
+ * ```js
+ * import {setFilter} from 'ol-mapbox-style';
+ * ```
+ * Sets the filter of a Mapbox Style layer, and re-renders the OpenLayers layer
+ * that contains it.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {Array|undefined} filter Filter, or `undefined` to remove the filter.
+ * @throws {Error} When the layer does not exist or the filter is invalid.
+ */
+export function setFilter(map, layerId, filter) {
+    updateStyleLayer(map, layerId, function (glLayer) {
+        if (filter === undefined || filter === null) {
+            delete glLayer.filter;
+        } else {
+            glLayer.filter = filter;
+        }
+    });
+}
+
+/**
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @param {string} layoutOrPaint 'layout' or 'paint'.
+ * @param {string} name Property name.
+ * @param {*} value Property value, `undefined` to remove the property.
+ */
+function setLayerValue(glLayer, layoutOrPaint, name, value) {
+    if (!glLayer[layoutOrPaint]) {
+        glLayer[layoutOrPaint] = {};
+    }
+    if (value === undefined) {
+        delete glLayer[layoutOrPaint][name];
+    } else {
+        glLayer[layoutOrPaint][name] = value;
+    }
+}
+
+/**
+ * Validates a change of a Mapbox Style layer, applies it to the layer in the
+ * map's Mapbox Style object, and re-renders the OpenLayers layer that contains
+ * the Mapbox Style layer.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {function(Object):void} update Applies the change to a layer object.
+ */
+function updateStyleLayer(map, layerId, update) {
+    const glStyle = map.get('mapbox-style');
+    const glLayer = glStyle ? getGlLayer(glStyle, layerId) : undefined;
+    if (!glLayer) {
+        throw new Error(`Layer "${layerId}" does not exist`);
+    }
+    const changedLayer = JSON.parse(JSON.stringify(glLayer));
+    update(changedLayer);
+    assertValidLayer(glStyle, changedLayer);
+    const refresh = extendsVisibility(glLayer, changedLayer);
+
+    // Style functions keep a reference to the layer object, so it is updated
+    // in place.
+    update(glLayer);
+    const state = map.get('mapbox-style-state');
+    const layers = state.glStyle.layers;
+    for (let i = 0, ii = layers.length; i < ii; ++i) {
+        if (layers[i].id === layerId) {
+            layers[i] = changedLayer;
+        }
+    }
+    clearLayerCaches(layerId);
+    LayerZoomMap = {};
+
+    const layer = getLayer(map, layerId);
+    if (!layer) {
+        return;
+    }
+    const source = layer.getSource();
+    if (refresh && source instanceof VectorTileSource) {
+        // Features of source layers that were not visible were not parsed
+        source.refresh();
+    }
+    const callback = layer.get('event_change_resolution');
+    if (callback) {
+        callback();
+    }
+    if (source instanceof RasterSource) {
+        source.changed();
+    }
+    layer.changed();
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @throws {Error} When the layer is invalid.
+ */
+function assertValidLayer(glStyle, glLayer) {
+    const errors = validate({
+        version: 8,
+        sources: glStyle.sources,
+        layers: [glLayer]
+    }).filter(function (error) {
+        // Ignore errors in other parts of the style
+        return error.message.indexOf('layers[0]') === 0;
+    });
+    if (errors.length) {
+        throw new Error(errors.map(function (error) {
+            return error.message.replace('layers[0]', glLayer.id);
+        }).join(', '));
+    }
+}
+
+/**
+ * ```js
+ * import {validateStyle} from 'ol-mapbox-style';
+ * ```
+ * Validates a Mapbox Style object with the validator of the Mapbox Style
+ * Specification. The source properties `srs`, `dataSrs`, `tileMatrixSet`,
+ * `zoomOffset` and `clusterMinPoints`, and sprite arrays, which are not part of
+ * the specification version of the validator, are valid.
+ * @param {Object} glStyle Mapbox Style object.
+ * @return {Array<StyleError>} Validation errors, empty for a valid style.
+ */
+export function validateStyle(glStyle) {
+    return validate(glStyle).filter(function (error) {
+        return !sourceExtensionRegEx.test(error.message) && !spriteArrayRegEx.test(error.message);
+    }).map(function (error) {
+        const styleError = {};
+        let message = error.message;
+        const layerMatch = message.match(layerErrorRegEx);
+        const match = message.match(styleErrorRegEx);
+        if (layerMatch) {
+            styleError.layerId = glStyle.layers[Number(layerMatch[1])].id;
+            if (layerMatch[2]) {
+                styleError.property = layerMatch[2];
+            }
+            message = layerMatch[3];
+        } else if (match) {
+            styleError.property = match[1];
+            message = match[2];
+        }
+        styleError.message = message;
+        return /** @type {StyleError} */ (styleError);
+    });
+}
+
+/**
+ * @param {StyleError} error Style error.
+ * @return {string} Error message with the layer and property.
+ */
+function formatStyleError(error) {
+    const key = [error.layerId, error.property].filter(function (part) {
+        return part !== undefined;
+    }).join('.');
+    return key ? `${key}: ${error.message}` : error.message;
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {Array<StyleError>} errors Validation errors of the style.
+ * @return {Object} Copy of the style without the layers with errors, and the
+ * layers of sources with errors.
+ */
+function removeInvalidLayers(glStyle, errors) {
+    const layerIds = {};
+    const sourceIds = {};
+    errors.forEach(function (error) {
+        if ('layerId' in error) {
+            layerIds[error.layerId] = true;
+        } else if (error.property) {
+            for (const id in glStyle.sources) {
+                if (error.property === `sources.${id}` || error.property.indexOf(`sources.${id}.`) === 0) {
+                    sourceIds[id] = true;
+                }
+            }
+        }
+    });
+    return assign({}, glStyle, {
+        layers: glStyle.layers.filter(function (glLayer) {
+            return !(glLayer.id in layerIds) && !(glLayer.source in sourceIds);
+        })
+    });
+}
+
+/**
+ * ```js
+ * import {addStyleLayer} from 'ol-mapbox-style';
+ * ```
+ * Adds a layer to the Mapbox Style of a map. OpenLayers layers are created,
+ * split or merged as needed, so the rendering order matches the order of the
+ * Mapbox Style layers.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Object} glLayer Mapbox Style layer object.
+ * @param {string} [beforeId] Id of the Mapbox Style layer to add the layer
+ * before. When not provided, the layer is added on top of all other layers.
+ * @return {Promise} Resolves with the OpenLayers Map instance when the layer
+ * is styled. Rejects when the layer is invalid or its id exists already, or
+ * when `beforeId` does not exist.
+ */
+export function addStyleLayer(map, glLayer, beforeId) {
+    return updateStyle(map, function (glStyle) {
+        if (getGlLayerIndex(glStyle, glLayer.id) !== -1) {
+            throw new Error(`Layer "${glLayer.id}" already exists`);
+        }
+        assertValidLayer(glStyle, glLayer);
+        glStyle.layers.splice(getInsertIndex(glStyle, beforeId), 0, JSON.parse(JSON.stringify(glLayer)));
+    });
+}
+
+/**
+ * ```js
+ * import {removeStyleLayer} from 'ol-mapbox-style';
+ * ```
+ * Removes a layer from the Mapbox Style of a map.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @return {Promise} Resolves with the OpenLayers Map instance when the
+ * remaining layers are styled. Rejects when the layer does not exist.
+ */
+export function removeStyleLayer(map, layerId) {
+    return updateStyle(map, function (glStyle) {
+        glStyle.layers.splice(getExistingGlLayerIndex(glStyle, layerId), 1);
+    });
+}
+
+/**
+ * ```js
+ * import {moveStyleLayer} from 'ol-mapbox-style';
+ * ```
+ * Moves a layer of the Mapbox Style of a map to a different position.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} layerId Mapbox Style layer id.
+ * @param {string} [beforeId] Id of the Mapbox Style layer to move the layer
+ * before. When not provided, the layer is moved on top of all other layers.
+ * @return {Promise} Resolves with the OpenLayers Map instance when the layers
+ * are styled. Rejects when the layer or `beforeId` does not exist.
+ */
+export function moveStyleLayer(map, layerId, beforeId) {
+    return updateStyle(map, function (glStyle) {
+        const glLayer = glStyle.layers.splice(getExistingGlLayerIndex(glStyle, layerId), 1)[0];
+        glStyle.layers.splice(getInsertIndex(glStyle, beforeId), 0, glLayer);
+    });
+}
+
+/**
+ * ```js
+ * import {addStyleSource} from 'ol-mapbox-style';
+ * ```
+ * Adds a source to the Mapbox Style of a map, for use by layers added with
+ * `addStyleLayer()`.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Mapbox Style source id.
+ * @param {Object} glSource Mapbox Style source object.
+ * @return {Promise} Resolves with the OpenLayers Map instance. Rejects when a
+ * source with the same id exists already.
+ */
+export function addStyleSource(map, id, glSource) {
+    return updateStyle(map, function (glStyle) {
+        if (id in glStyle.sources) {
+            throw new Error(`Source "${id}" already exists`);
+        }
+        glStyle.sources[id] = JSON.parse(JSON.stringify(glSource));
+    });
+}
+
+/**
+ * ```js
+ * import {removeStyleSource} from 'ol-mapbox-style';
+ * ```
+ * Removes a source from the Mapbox Style of a map.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Mapbox Style source id.
+ * @return {Promise} Resolves with the OpenLayers Map instance. Rejects when
+ * the source does not exist or is used by a layer.
+ */
+export function removeStyleSource(map, id) {
+    return updateStyle(map, function (glStyle) {
+        if (!(id in glStyle.sources)) {
+            throw new Error(`Source "${id}" does not exist`);
+        }
+        glStyle.layers.forEach(function (glLayer) {
+            if (glLayer.source === id) {
+                throw new Error(`Source "${id}" is used by layer "${glLayer.id}"`);
+            }
+        });
+        delete glStyle.sources[id];
+    });
+}
+
+/**
+ * ```js
+ * import {updateImageSource} from 'ol-mapbox-style';
+ * ```
+ * Updates the url and/or the corner coordinates of an `image` source, and
+ * re-renders the layers that use it. The image is warped to its corners in
+ * the projection of the view.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Mapbox Style source id.
+ * @param {Object} options Options.
+ * @param {string} [options.url] Url of the image.
+ * @param {Array<Array<number>>} [options.coordinates] Longitude and latitude of
+ * the top left, top right, bottom right and bottom left corners of the image.
+ * @return {Promise} Resolves with the OpenLayers Map instance. Rejects when
+ * the source does not exist or is not an `image` source, or when the
+ * `coordinates` do not form a convex quadrilateral.
+ */
+export function updateImageSource(map, id, options) {
+    return updateStyle(map, function (glStyle) {
+        const glSource = glStyle.sources[id];
+        if (!glSource) {
+            throw new Error(`Source "${id}" does not exist`);
+        }
+        if (glSource.type != 'image') {
+            throw new Error(`Source "${id}" is not an image source`);
+        }
+        if (options.url !== undefined) {
+            glSource.url = options.url;
+        }
+        if (options.coordinates !== undefined) {
+            getImageCorners(options.coordinates, map.getView().getProjection());
+            glSource.coordinates = JSON.parse(JSON.stringify(options.coordinates));
+        }
+    });
+}
+
+/**
+ * ```js
+ * import {setGeoJSONData} from 'ol-mapbox-style';
+ * ```
+ * Replaces the data of a `geojson` source. The features of the OpenLayers
+ * sources that were created for it are replaced in place, without re-creating
+ * the layers.
+ *
+ * Features are read into the projection of the view, or the `srs` of sources
+ * that are sliced into vector tiles with the `tileGeoJSON` option. The
+ * spatial reference of the data is taken from the `crs` member of the GeoJSON
+ * object, or the `dataSrs` of the source, and defaults to EPSG:4326.
+ *
+ * When data from a url cannot be loaded or read, an `error` event with the
+ * `error` is dispatched on the source:
+ * ```js
+ * getSource(map, 'points').on('error', function (event) {
+ *   console.error(event.error);
+ * });
+ * ```
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {Object|string} data GeoJSON object, or url of GeoJSON data. Relative
+ * urls are resolved against the style url.
+ * @throws {Error} When the source does not exist or is not a `geojson` source,
+ * or when the spatial reference of the data is not a known projection.
+ */
+export function setGeoJSONData(map, sourceId, data) {
+    const glStyle = map.get('mapbox-style');
+    const glSource = glStyle ? glStyle.sources[sourceId] : undefined;
+    if (!glSource) {
+        throw new Error(`Source "${sourceId}" does not exist`);
+    }
+    if (glSource.type != 'geojson') {
+        throw new Error(`Source "${sourceId}" is not a geojson source`);
+    }
+    if (typeof data != 'string') {
+        getGeoJSONDataSrs(glSource, data);
+    }
+    const projection = map.getView().getProjection();
+
+    glSource.data = data;
+    const state = map.get('mapbox-style-state');
+    state.glStyle.sources[sourceId].data = JSON.parse(JSON.stringify(data));
+
+    const layers = map.getLayers().getArray();
+    for (let i = 0, ii = layers.length; i < ii; ++i) {
+        const layer = layers[i];
+        if (layer.get('mapbox-source') !== sourceId) {
+            continue;
+        }
+        let source = /** @type {Layer} */ (layer).getSource();
+        if (source && source.get('mapbox-clustered-source')) {
+            source = source.get('mapbox-clustered-source');
+        }
+        if (!source || source.get('mapbox-geojson-data') === undefined) {
+            continue;
+        }
+        // Loaders read the data from the source, and are called again for
+        // data urls after the refresh
+        source.set('mapbox-geojson-data', data);
+        source.refresh();
+        if (source instanceof VectorSource && typeof data != 'string') {
+            source.addFeatures(readGeoJSONFeatures(glSource, data, projection));
+        }
+    }
+}
+
+/**
+ * @typedef {Object} FeatureIdentifier
+ * @property {string} source Mapbox Style source id.
+ * @property {string} [sourceLayer] Source layer, required for `vector` sources.
+ * @property {string|number} [id] Feature id.
+ */
+
+/**
+ * @param {PluggableMap} map OpenLayers Map.
+ * @return {Object<string, Object>} Images that were added with `addImage()`,
+ * as sprite index entries with the `image`, by id.
+ */
+function getImages(map) {
+    let images = map.get('mapbox-images');
+    if (!images) {
+        images = {};
+        map.set('mapbox-images', images);
+    }
+    return images;
+}
+
+/**
+ * Re-renders the OpenLayers layers that use images.
+ * @param {PluggableMap} map OpenLayers Map.
+ */
+function renderImages(map) {
+    map.getLayers().forEach(function (layer) {
+        if (layer.get('mapbox-images')) {
+            layer.changed();
+        }
+    });
+}
+
+/**
+ * ```js
+ * import {addImage} from 'ol-mapbox-style';
+ * ```
+ * Adds an image for `icon-image`, `fill-pattern` and `line-pattern`, in
+ * addition to the images of the style's sprite. Layers that reference the
+ * image are re-rendered.
+ *
+ * When a layer references an image that is neither in the sprite nor added,
+ * a `styleimagemissing` event with the `id` of the image is dispatched on the
+ * map. Images that are added by a listener of the event are used right away:
+ * ```js
+ * map.on('styleimagemissing', function (event) {
+ *   addImage(map, event.id, createIcon(event.id));
+ * });
+ * ```
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Image id.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image Loaded image.
+ * @param {Object} [options={}] Options.
+ * @param {number} [options.pixelRatio=1] Ratio of image pixels to screen
+ * pixels.
+ * @param {boolean} [options.sdf=false] The image is a signed distance field,
+ * which is rendered with `icon-color` and `icon-halo-*`.
+ * @throws {Error} When the sprite has an image with the id, or an image with the
+ * id was already added.
+ */
+export function addImage(map, id, image, options = {}) {
+    const images = getImages(map);
+    if (hasImage(map, id)) {
+        throw new Error(`Image "${id}" already exists`);
+    }
+    images[id] = {
+        x: 0,
+        y: 0,
+        width: image.width,
+        height: image.height,
+        pixelRatio: options.pixelRatio || 1,
+        sdf: !!options.sdf,
+        image: image
+    };
+    renderImages(map);
+}
+
+/**
+ * ```js
+ * import {removeImage} from 'ol-mapbox-style';
+ * ```
+ * Removes an image that was added with `addImage()`.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Image id.
+ * @throws {Error} When no image with the id was added.
+ */
+export function removeImage(map, id) {
+    const images = getImages(map);
+    if (!(id in images)) {
+        throw new Error(`Image "${id}" does not exist`);
+    }
+    delete images[id];
+    renderImages(map);
+}
+
+/**
+ * ```js
+ * import {hasImage} from 'ol-mapbox-style';
+ * ```
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Image id.
+ * @return {boolean} The image is in the sprite of the style, or was added with
+ * `addImage()`.
+ */
+export function hasImage(map, id) {
+    const sprite = map.get('mapbox-sprite');
+    return !!(sprite && sprite.data[id]) || id in getImages(map);
+}
+
+/**
+ * @typedef {Object} StyleImage
+ * @property {number} width Width, in pixels of the image.
+ * @property {number} height Height, in pixels of the image.
+ * @property {number} pixelRatio Ratio of image pixels to screen pixels.
+ * @property {boolean} sdf The image is a signed distance field.
+ * @property {string} [sprite] Id of the sprite sheet of the image, `default`
+ * for a single sprite. Not set for images that were added with `addImage()`.
+ * @property {HTMLCanvasElement|HTMLImageElement|ImageBitmap} [image] The
+ * image, only set by `getStyleImage()`.
+ */
+
+/**
+ * @param {Object} spriteImageData Sprite index entry of an image.
+ * @param {boolean} runtime The image was added with `addImage()`.
+ * @return {StyleImage} Style image.
+ */
+function toStyleImage(spriteImageData, runtime) {
+    const styleImage = {
+        width: spriteImageData.width,
+        height: spriteImageData.height,
+        pixelRatio: spriteImageData.pixelRatio || 1,
+        sdf: !!spriteImageData.sdf
+    };
+    if (!runtime) {
+        styleImage.sprite = spriteImageData.sprite || 'default';
+    }
+    return styleImage;
+}
+
+/**
+ * ```js
+ * import {getStyleImages} from 'ol-mapbox-style';
+ * ```
+ * Gets the images of the style's sprite, and the images that were added with
+ * `addImage()`. The sprite is available when the promise of `olms()` or
+ * `applyStyle()` resolves. The images of the sprite sheets can be used with
+ * `getStyleImage()` after the map's `sprite-loaded` event for their sheet.
+ * Like for rendering, an image of the sprite is used instead of an added image
+ * with the same id.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @return {Object<string, StyleImage>} Images by id, without the `image`.
+ */
+export function getStyleImages(map) {
+    const styleImages = {};
+    const sprite = map.get('mapbox-sprite');
+    if (sprite) {
+        for (const id in sprite.data) {
+            styleImages[id] = toStyleImage(sprite.data[id], false);
+        }
+    }
+    const images = getImages(map);
+    for (const id in images) {
+        if (!(id in styleImages)) {
+            styleImages[id] = toStyleImage(images[id], true);
+        }
+    }
+    return styleImages;
+}
+
+/**
+ * ```js
+ * import {getStyleImage} from 'ol-mapbox-style';
+ * ```
+ * Gets an image of the style's sprite, cut out of its sprite sheet at the
+ * pixel ratio of the sheet, or an image that was added with `addImage()`. The
+ * sprite is looked up first, like for rendering.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} id Image id.
+ * @return {StyleImage|undefined} The image, or `undefined` when there is no
+ * image with the id. The `image` is not set while the sprite sheet is
+ * loading.
+ */
+export function getStyleImage(map, id) {
+    const sprite = map.get('mapbox-sprite');
+    const spriteImageData = sprite && sprite.data[id];
+    if (!spriteImageData) {
+        const images = getImages(map);
+        return id in images ? assign(toStyleImage(images[id], true), {
+            image: images[id].image
+        }) : undefined;
+    }
+    const styleImage = toStyleImage(spriteImageData, false);
+    const spriteImage = sprite.images[styleImage.sprite];
+    if (spriteImage) {
+        const canvas = createCanvas(spriteImageData.width, spriteImageData.height);
+        /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d')).drawImage(
+            spriteImage,
+            spriteImageData.x,
+            spriteImageData.y,
+            spriteImageData.width,
+            spriteImageData.height,
+            0,
+            0,
+            spriteImageData.width,
+            spriteImageData.height
+        );
+        styleImage.image = canvas;
+    }
+    return styleImage;
+}
+
+/**
+ * ```js
+ * import {renderLegend} from 'ol-mapbox-style';
+ * ```
+ * Renders a legend for the layers of a Mapbox Style object, with a swatch for
+ * each `fill`, `line`, `circle`, `symbol`, `fill-extrusion` and `raster`
+ * layer. Swatches are drawn with the same evaluation of the layers'
+ * properties, and the same sprite, as the style function. `symbol` layers get
+ * their icon, and a text sample when they have a `text-field`.
+ *
+ * Layers with a `match`, `step` or `interpolate` expression on a feature
+ * property, e.g. `["match", ["get", "class"], "park", "green", "gray"]`, are
+ * split into one item per class, labelled with the values of the class. This
+ * also works for property functions.
+ * @param {string|Object} glStyle Mapbox Style object.
+ * @param {LegendOptions} [options={}] Options.
+ * @return {Promise<Array<LegendItem>>} Resolves with the legend items, in the
+ * order of the layers, when the sprite is loaded.
+ */
+export function renderLegend(glStyle, options = {}) {
+    if (typeof glStyle != 'object') {
+        glStyle = JSON.parse(glStyle);
+    }
+    if (glStyle.version != 8) {
+        return Promise.reject(new Error('glStyle version 8 required.'));
+    }
+    if (!glStyle.sprite) {
+        return Promise.resolve(createLegend(glStyle, options, undefined, undefined, getFonts));
+    }
+    const transformRequest = options.transformRequest;
+    const sizeFactor = window.devicePixelRatio >= 1.5 ? '@2x' : '';
+    return loadSprites(glStyle.sprite, options.path, sizeFactor, transformRequest).then(function (sprites) {
+        const imageUrls = typeof sprites.imageUrl == 'string' ? {'default': sprites.imageUrl} : sprites.imageUrl;
+        const ids = Object.keys(imageUrls);
+        return Promise.all(ids.map(function (id) {
+            return loadImage(imageUrls[id], 'SpriteImage', transformRequest);
+        })).then(function (images) {
+            const spriteImages = {};
+            for (let i = 0, ii = ids.length; i < ii; ++i) {
+                spriteImages[ids[i]] = images[i];
+            }
+            return createLegend(glStyle, options, sprites.data, spriteImages, getFonts);
+        });
+    });
+}
+
+/**
+ * ```js
+ * import {setFeatureState} from 'ol-mapbox-style';
+ * ```
+ * Sets the state of a feature, which can be used in `feature-state`
+ * expressions of paint properties. The state is merged with the feature's
+ * existing state. OpenLayers layers that have Mapbox Style layers of the
+ * feature's source with `feature-state` expressions are re-rendered.
+ *
+ * Like in Mapbox GL JS, `feature-state` cannot be used in filters and layout
+ * properties.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureIdentifier} feature Source, source layer and id of the feature.
+ * @param {Object} state Properties of the state to set.
+ * @throws {Error} When the source does not exist, or no source layer is
+ * provided for a `vector` source.
+ */
+export function setFeatureState(map, feature, state) {
+    const sourceStates = getFeatureStates(map, feature);
+    const sourceLayer = feature.sourceLayer || '';
+    if (!sourceStates[sourceLayer]) {
+        sourceStates[sourceLayer] = {};
+    }
+    const states = sourceStates[sourceLayer];
+    states[feature.id] = assign({}, states[feature.id], state);
+    renderFeatureState(map, feature);
+}
+
+/**
+ * ```js
+ * import {getFeatureState} from 'ol-mapbox-style';
+ * ```
+ * Gets the state of a feature, set with `setFeatureState()`.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureIdentifier} feature Source, source layer and id of the feature.
+ * @return {Object} State of the feature.
+ * @throws {Error} When the source does not exist, or no source layer is
+ * provided for a `vector` source.
+ */
+export function getFeatureState(map, feature) {
+    const states = getFeatureStates(map, feature)[feature.sourceLayer || ''];
+    return assign({}, states && states[feature.id]);
+}
+
+/**
+ * ```js
+ * import {removeFeatureState} from 'ol-mapbox-style';
+ * ```
+ * Removes the state, or one property of the state, of a feature. Without a
+ * feature id, the states of all features of the source or source layer are
+ * removed.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureIdentifier} feature Source, source layer and optional id of
+ * the feature.
+ * @param {string} [key] Property of the state to remove. When not provided,
+ * the whole state is removed.
+ * @throws {Error} When the source does not exist, or no source layer is
+ * provided for a `vector` source.
+ */
+export function removeFeatureState(map, feature, key) {
+    const sourceStates = getFeatureStates(map, feature);
+    const sourceLayer = feature.sourceLayer || '';
+    const states = sourceStates[sourceLayer];
+    if (feature.id === undefined) {
+        if (feature.sourceLayer === undefined) {
+            // The object is referenced by layers, so it has to be emptied
+            for (const layerName in sourceStates) {
+                delete sourceStates[layerName];
+            }
+        } else {
+            delete sourceStates[sourceLayer];
+        }
+    } else if (states && states[feature.id]) {
+        if (key === undefined) {
+            delete states[feature.id];
+        } else {
+            delete states[feature.id][key];
+        }
+    }
+    renderFeatureState(map, feature);
+}
+
+/**
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @return {Object<string, Object<string, Object>>} Feature states of the source,
+ * by source layer and feature id.
+ */
+function getSourceFeatureStates(map, sourceId) {
+    let featureStates = map.get('mapbox-featurestates');
+    if (!featureStates) {
+        featureStates = {};
+        map.set('mapbox-featurestates', featureStates);
+    }
+    if (!featureStates[sourceId]) {
+        featureStates[sourceId] = {};
+    }
+    return featureStates[sourceId];
+}
+
+/**
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureIdentifier} feature Source, source layer and id of a feature.
+ * @return {Object<string, Object<string, Object>>} Feature states of the
+ * feature's source.
+ * @throws {Error} When the source does not exist, or no source layer is
+ * provided for a `vector` source.
+ */
+function getFeatureStates(map, feature) {
+    const glStyle = map.get('mapbox-style');
+    const glSource = glStyle ? glStyle.sources[feature.source] : undefined;
+    if (!glSource) {
+        throw new Error(`Source "${feature.source}" does not exist`);
+    }
+    if (glSource.type == 'vector' && feature.sourceLayer === undefined) {
+        throw new Error(`A source layer is required for the vector source "${feature.source}"`);
+    }
+    return getSourceFeatureStates(map, feature.source);
+}
+
+/**
+ * Re-renders the OpenLayers layers that use the feature state of a source
+ * layer.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureIdentifier} feature Source and source layer of a feature.
+ */
+function renderFeatureState(map, feature) {
+    const layerIds = map.get('mapbox-style').layers.filter(function (glLayer) {
+        return glLayer.source === feature.source &&
+            (feature.sourceLayer === undefined || glLayer['source-layer'] === feature.sourceLayer) &&
+            JSON.stringify(glLayer.paint || emptyObj).indexOf('"feature-state"') !== -1;
+    }).map(function (glLayer) {
+        return glLayer.id;
+    });
+    map.getLayers().forEach(function (layer) {
+        const mapboxLayers = layer.get('mapbox-layers');
+        if (mapboxLayers && mapboxLayers.some(function (layerId) {
+            return layerIds.indexOf(layerId) !== -1;
+        })) {
+            layer.changed();
+        }
+    });
+}
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {Array<string>} [layers] Ids of the Mapbox Style layers to query.
+ * By default, all layers are queried.
+ * @property {Array} [filter] Mapbox Style filter to limit the results.
+ */
+
+/**
+ * ```js
+ * import {queryRenderedFeatures} from 'ol-mapbox-style';
+ * ```
+ * Gets the features rendered at a pixel of the map. Like in Mapbox GL JS, the
+ * result has GeoJSON features with geographic coordinates, annotated with the
+ * Mapbox Style `layer` that renders them, their `source`, `sourceLayer` and
+ * feature `state`. When a feature is rendered by several layers, it is
+ * included once for each layer. Features of the top-most layers come first.
+ *
+ * Layer visibility, zoom ranges, filters and geometry types are evaluated like
+ * in the style function.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Pixel} pixel Pixel.
+ * @param {QueryOptions} [options={}] Options.
+ * @return {Array<Object>} Rendered features.
+ * @throws {Error} When one of the `layers` does not exist.
+ */
+export function queryRenderedFeatures(map, pixel, options = {}) {
+    const glStyle = map.get('mapbox-style');
+    if (!glStyle) {
+        return [];
+    }
+    const glLayers = {};
+    const indexes = {};
+    derefLayers(glStyle.layers).forEach(function (glLayer, index) {
+        if (!options.layers || options.layers.indexOf(glLayer.id) !== -1) {
+            glLayers[glLayer.id] = glLayer;
+            indexes[glLayer.id] = index;
+        }
+    });
+    if (options.layers) {
+        options.layers.forEach(function (layerId) {
+            if (!(layerId in glLayers)) {
+                throw new Error(`Layer "${layerId}" does not exist`);
+            }
+        });
+    }
+    const filter = options.filter ? featureFilter(options.filter).filter : undefined;
+    const resolution = map.getView().getResolution();
+
+    /** @type {Array<{layer: Layer, features: Array<FeatureLike>}>} */
+    const hits = [];
+    map.forEachFeatureAtPixel(pixel, function (feature, layer) {
+        const hit = hits[hits.length - 1];
+        if (hit && hit.layer === layer) {
+            hit.features.push(feature);
+        } else {
+            hits.push({layer: layer, features: [feature]});
+        }
+    }, {
+        layerFilter: function (layer) {
+            const layerIds = layer.get('mapbox-layers');
+            return !!layerIds && layerIds.some(function (layerId) {
+                return layerId in glLayers;
+            });
+        }
+    });
+
+    const renderedFeatures = [];
+    hits.forEach(function (hit) {
+        const layerIds = hit.layer.get('mapbox-layers').filter(function (layerId) {
+            return layerId in glLayers;
+        }).sort(function (a, b) {
+            return indexes[b] - indexes[a];
+        });
+        layerIds.forEach(function (layerId) {
+            const glLayer = glLayers[layerId];
+            const zoom = getZoomForResolution(resolution,
+                getSourceResolutions(glStyle.sources[glLayer.source], hit.layer.getSource()));
+            hit.features.forEach(function (feature) {
+                const properties = assign({}, feature.getProperties());
+                // Same properties as in the style function
+                if (properties.layer !== glLayer['source-layer']) {
+                    return;
+                }
+                const geometryType = feature.getGeometry().getType();
+                const f = {
+                    id: feature.getId(),
+                    properties: properties,
+                    type: types[geometryType]
+                };
+                if (!isVisibleAtZoom(glLayer, zoom) || !rendersGeometryType(glLayer, geometryType) ||
+                    (glLayer.filter && !evaluateFilter(layerId, glLayer.filter, f, zoom)) ||
+                    (filter && !filter({zoom: zoom}, f))) {
+                    return;
+                }
+                const renderedFeature = toQueriedFeature(map, feature, properties, glLayer.source, glLayer['source-layer']);
+                renderedFeature.layer = glLayer;
+                renderedFeatures.push(renderedFeature);
+            });
+        });
+    });
+    return renderedFeatures;
+}
+
+/**
+ * @typedef {Object} SourceQueryOptions
+ * @property {string} [sourceLayer] Source layer to query, required for
+ * `vector` sources.
+ * @property {Array} [filter] Mapbox Style filter to limit the results.
+ */
+
+/**
+ * ```js
+ * import {querySourceFeatures} from 'ol-mapbox-style';
+ * ```
+ * Gets the loaded features of a `vector` or `geojson` source, whether they are
+ * rendered or not. For `vector` sources, only the features of the tiles loaded
+ * for the last rendered zoom level are available. Features that are included
+ * in several tiles are returned once, when they have an id. To save memory,
+ * the features of source layers that no visible style layer uses at the zoom
+ * level of a tile are not read from the tile, so no features are returned for
+ * such source layers, e.g. for source layers of style layers with
+ * `visibility: none`.
+ *
+ * The result has GeoJSON features with geographic coordinates, annotated with
+ * their `source`, `sourceLayer` and feature `state`. For features of `vector`
+ * sources, the geometry may be clipped to the tile.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {SourceQueryOptions} [options={}] Options.
+ * @return {Array<Object>} Source features.
+ * @throws {Error} When the source does not exist, or no source layer is
+ * provided for a `vector` source.
+ */
+export function querySourceFeatures(map, sourceId, options = {}) {
+    const glStyle = map.get('mapbox-style');
+    const glSource = glStyle ? glStyle.sources[sourceId] : undefined;
+    if (!glSource) {
+        throw new Error(`Source "${sourceId}" does not exist`);
+    }
+    const sourceLayer = glSource.type == 'vector' ? options.sourceLayer : undefined;
+    if (glSource.type == 'vector' && sourceLayer === undefined) {
+        throw new Error(`A source layer is required for the vector source "${sourceId}"`);
+    }
+    const source = getSource(map, sourceId);
+    let features;
+    if (source instanceof VectorTileSource) {
+        features = source.getFeaturesInExtent(source.getTileGrid().getExtent());
+    } else if (source instanceof VectorSource) {
+        features = source.getFeatures();
+    } else {
+        return [];
+    }
+    const filter = options.filter ? featureFilter(options.filter).filter : undefined;
+    const zoom = getZoomForResolution(map.getView().getResolution(), getSourceResolutions(glSource, source));
+    const ids = Object.create(null);
+    const sourceFeatures = [];
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+        const feature = features[i];
+        const properties = assign({}, feature.getProperties());
+        if (properties.layer !== sourceLayer) {
+            continue;
+        }
+        const id = feature.getId();
+        if (id !== undefined) {
+            if (id in ids) {
+                continue;
+            }
+            ids[id] = true;
+        }
+        if (filter && !filter({zoom: zoom}, {
+            id: id,
+            properties: properties,
+            type: types[feature.getGeometry().getType()]
+        })) {
+            continue;
+        }
+        sourceFeatures.push(toQueriedFeature(map, feature, properties, sourceId, sourceLayer));
+    }
+    return sourceFeatures;
+}
+
+/**
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @return {ClusterIndex} Cluster index of the source.
+ * @throws {Error} When the source is not a `geojson` source with `cluster: true`.
+ */
+function getSourceClusterIndex(map, sourceId) {
+    const source = getSource(map, sourceId);
+    if (!source || !source.get('mapbox-clustered-source')) {
+        throw new Error(`Source "${sourceId}" is not a clustered geojson source`);
+    }
+    return getClusterIndex(source);
+}
+
+/**
+ * ```js
+ * import {getClusterExpansionZoom} from 'ol-mapbox-style';
+ * ```
+ * Gets the zoom level on which a cluster of a `geojson` source with
+ * `cluster: true` expands into several children.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {number} clusterId The `cluster_id` of the cluster feature.
+ * @return {number} Zoom level.
+ * @throws {Error} When the source is not a clustered `geojson` source, or has
+ * no cluster with the id.
+ */
+export function getClusterExpansionZoom(map, sourceId, clusterId) {
+    return getIndexExpansionZoom(getSourceClusterIndex(map, sourceId), clusterId);
+}
+
+/**
+ * ```js
+ * import {getClusterLeaves} from 'ol-mapbox-style';
+ * ```
+ * Gets the original point features of a cluster of a `geojson` source with
+ * `cluster: true`.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {number} clusterId The `cluster_id` of the cluster feature.
+ * @param {number} [limit=10] Maximum number of features to return.
+ * @param {number} [offset=0] Number of features to skip, for paging.
+ * @return {Array<Feature>} Point features.
+ * @throws {Error} When the source is not a clustered `geojson` source, or has
+ * no cluster with the id.
+ */
+export function getClusterLeaves(map, sourceId, clusterId, limit = 10, offset = 0) {
+    return getIndexLeaves(getSourceClusterIndex(map, sourceId), clusterId, limit, offset);
+}
+
+/**
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {FeatureLike} feature Feature.
+ * @param {Object} properties Copy of the feature's properties.
+ * @param {string} sourceId Mapbox Style source id.
+ * @param {string} [sourceLayer] Source layer of the feature.
+ * @return {Object} GeoJSON feature with `source`, `sourceLayer` and `state`.
+ */
+function toQueriedFeature(map, feature, properties, sourceId, sourceLayer) {
+    if (feature instanceof Feature) {
+        delete properties[feature.getGeometryName()];
+    }
+    if (sourceLayer !== undefined) {
+        // Added by the MVT format
+        delete properties.layer;
+    }
+    const id = feature.getId();
+    const states = getSourceFeatureStates(map, sourceId)[sourceLayer || ''];
+    return {
+        type: 'Feature',
+        id: id,
+        geometry: geoJsonFormat.writeGeometryObject(toGeometry(feature), {
+            featureProjection: map.getView().getProjection()
+        }),
+        properties: properties,
+        source: sourceId,
+        sourceLayer: sourceLayer,
+        state: assign({}, states && states[id])
+    };
+}
+
+/**
+ * @param {FeatureLike} feature Feature.
+ * @return {Geometry} Geometry of the feature.
+ */
+function toGeometry(feature) {
+    if (!(feature instanceof RenderFeature)) {
+        return feature.getGeometry();
+    }
+    const flatCoordinates = feature.getOrientedFlatCoordinates().slice();
+    const ends = /** @type {Array<number>} */ (feature.getEnds());
+    switch (feature.getType()) {
+        case 'Point':
+            return new Point(flatCoordinates);
+        case 'MultiPoint':
+            return new MultiPoint(flatCoordinates, 'XY');
+        case 'LineString':
+            return new LineString(flatCoordinates, 'XY');
+        case 'MultiLineString':
+            return new MultiLineString(flatCoordinates, 'XY', ends);
+        default: {
+            // Rings with the orientation of the first ring are outer rings,
+            // the others are holes of the preceding outer ring
+            const endss = [];
+            let offset = 0;
+            let clockwise;
+            for (let i = 0, ii = ends.length; i < ii; ++i) {
+                const ringClockwise = linearRingIsClockwise(flatCoordinates, offset, ends[i], 2);
+                if (clockwise === undefined) {
+                    clockwise = ringClockwise;
+                }
+                if (ringClockwise === clockwise) {
+                    endss.push([ends[i]]);
+                } else {
+                    endss[endss.length - 1].push(ends[i]);
+                }
+                offset = ends[i];
+            }
+            return endss.length > 1 ?
+                new MultiPolygon(flatCoordinates, 'XY', endss) :
+                new Polygon(flatCoordinates, 'XY', ends);
+        }
+    }
+}
+
+/**
+ * Applies a change to a copy of the Mapbox Style of a map, and updates the map
+ * with `setStyle()`.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {function(Object):void} update Applies the change to a Mapbox Style
+ * object, throws when the change is invalid.
+ * @return {Promise} Resolves with the OpenLayers Map instance, rejects with the
+ * error of an invalid change.
+ */
+function updateStyle(map, update) {
+    const state = map.get('mapbox-style-state');
+    if (!state) {
+        return Promise.reject(new Error('No Mapbox Style applied to the map'));
+    }
+    const glStyle = JSON.parse(JSON.stringify(state.glStyle));
+    try {
+        update(glStyle);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    return setStyle(map, glStyle, state.options);
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {string} layerId Mapbox Style layer id.
+ * @return {number} Index of the layer, or -1 if there is no such layer.
+ */
+function getGlLayerIndex(glStyle, layerId) {
+    const glLayers = glStyle.layers;
+    for (let i = 0, ii = glLayers.length; i < ii; ++i) {
+        if (glLayers[i].id === layerId) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {string} layerId Mapbox Style layer id.
+ * @return {number} Index of the layer.
+ * @throws {Error} When the layer does not exist.
+ */
+function getExistingGlLayerIndex(glStyle, layerId) {
+    const index = getGlLayerIndex(glStyle, layerId);
+    if (index === -1) {
+        throw new Error(`Layer "${layerId}" does not exist`);
+    }
+    return index;
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {string} [beforeId] Id of the layer to insert before.
+ * @return {number} Index to insert a layer at.
+ * @throws {Error} When the `beforeId` layer does not exist.
+ */
+function getInsertIndex(glStyle, beforeId) {
+    return beforeId === undefined ? glStyle.layers.length : getExistingGlLayerIndex(glStyle, beforeId);
+}
+
+/**
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {string} layerId Mapbox Style layer id.
+ * @return {Object} Mapbox Style layer object.
+ */
+function getGlLayer(glStyle, layerId) {
+    return glStyle.layers[getGlLayerIndex(glStyle, layerId)];
+}
+
+/**
+ * @param {Object} before Mapbox Style layer object before a change.
+ * @param {Object} after Mapbox Style layer object after a change.
+ * @return {boolean} The layer is visible at zoom levels where it was not visible before.
+ */
+function extendsVisibility(before, after) {
+    const visibleBefore = !before.layout || before.layout.visibility !== 'none';
+    const visibleAfter = !after.layout || after.layout.visibility !== 'none';
+    return visibleAfter && (!visibleBefore ||
+        ('minzoom' in after ? after.minzoom : 0) < ('minzoom' in before ? before.minzoom : 0) ||
+        ('maxzoom' in after ? after.maxzoom : 24) > ('maxzoom' in before ? before.maxzoom : 24));
+}
+
+
+/**
+ * @private
+ * If layerIds is not empty, applies the style specified in glStyle to the layer,
+ * and adds the layer to the map.
+ *
+ * The layer may not yet have a source when the function is called.  If so, the style
+ * is applied to the layer via a once listener on the 'change:source' event.
+ *
+ * @param {Layer} layer An OpenLayers layer instance.
+ * @param {Array<string>} layerIds Array containing layer ids of already-processed layers.
+ * @param {Object} glStyle Style as a JSON object.
+ * @param {string|undefined} path The path part of the style URL. Only required
+ * when a relative path is used with the `"sprite"` property of the style.
+ * @param {PluggableMap} map OpenLayers Map.
+ * @param {Options} [options={}] Options.
+ * @return {Promise} Returns a promise that resolves after the source has
+ * been set on the specified layer, and the style has been applied.
+ */
+function finalizeLayer(layer, layerIds, glStyle, path, map, options = {}) {
+    let minZoom = 24;
+    let maxZoom = 0;
+    const glLayers = glStyle.layers;
+    for (let i = 0, ii = glLayers.length; i < ii; ++i) {
+        const glLayer = glLayers[i];
+        if (layerIds.indexOf(glLayer.id) !== -1) {
             minZoom = Math.min('minzoom' in glLayer ? glLayer.minzoom : 0, minZoom);
             maxZoom = Math.max('maxzoom' in glLayer ? glLayer.maxzoom : 24, maxZoom);
         }
@@ -992,22 +3698,30 @@ function finalizeLayer(layer, layerIds, glStyle, path, map) {
                 reject(new Error('Error accessing data for source ' + layer.get('mapbox-source')));
                 return;
             }
+            const resolutions = getSourceResolutions(glStyle.sources[layer.get('mapbox-source')], source);
             if (typeof source.getTileGrid === 'function') {
                 const tileGrid = source.getTileGrid();
                 if (tileGrid) {
                     const sourceMinZoom = tileGrid.getMinZoom();
                     if (minZoom > 0 || sourceMinZoom > 0) {
-                        layer.setMaxResolution(Math.min(defaultResolutions[minZoom], tileGrid.getResolution(sourceMinZoom)) + 1e-9);
+                        layer.setMaxResolution(Math.min(resolutions[minZoom], tileGrid.getResolution(sourceMinZoom)) + 1e-9);
                     }
                     if (maxZoom < 24) {
-                        layer.setMinResolution(defaultResolutions[maxZoom] + 1e-9);
+                        layer.setMinResolution(resolutions[maxZoom] + 1e-9);
                     }
                 }
+            } else if (source instanceof ImageStatic) {
+                if (minZoom > 0) {
+                    layer.setMaxResolution(resolutions[minZoom] + 1e-9);
+                }
+                if (maxZoom < 24) {
+                    layer.setMinResolution(resolutions[maxZoom] + 1e-9);
+                }
             }
-            if (source instanceof VectorSource || source instanceof VectorTileSource) {
+            if ((source instanceof VectorSource || source instanceof VectorTileSource) && !(layer instanceof HeatmapLayer)) {
                 // applyStyle(/** @type {import("ol-zhyt/layer/Vector").default|import("ol-zhyt/layer/VectorTile").default} */(layer), glStyle, layerIds, path).then(function () {
                 //增加map参数 modified by lipeng 2020.10.15
-                applyStyle(/** @type {import("ol-zhyt/layer/Vector").default|import("ol-zhyt/layer/VectorTile").default} */(layer), glStyle, layerIds, path, undefined, map).then(function () {
+                applyStyle(/** @type {import("ol-zhyt/layer/Vector").default|import("ol-zhyt/layer/VectorTile").default} */(layer), glStyle, layerIds, path, resolutions, map, options).then(function () {
                     layer.setVisible(true);
                     resolve();
                 }, function (e) {
@@ -1019,6 +3733,15 @@ function finalizeLayer(layer, layerIds, glStyle, path, map) {
         };
 
         layer.set('mapbox-layers', layerIds);
+        layer.set('mapbox-featurestate', getSourceFeatureStates(map, layer.get('mapbox-source')));
+        if (!layer.get('mapbox-images')) {
+            layer.on('styleimagemissing', function (event) {
+                const mapEvent = new BaseEvent('styleimagemissing');
+                /** @type {?} */ (mapEvent).id = event.id;
+                map.dispatchEvent(mapEvent);
+            });
+        }
+        layer.set('mapbox-images', getImages(map));
         if (map.getLayers().getArray().indexOf(layer) === -1) {
             map.addLayer(layer);
         }
@@ -1032,6 +3755,48 @@ function finalizeLayer(layer, layerIds, glStyle, path, map) {
 }
 
 
+/**
+ * ```js
+ * import {registerTileGrid} from 'ol-mapbox-style';
+ * ```
+ * Registers the tile grid of a spatial reference, for `vector`, `raster` and
+ * `raster-dem` sources with that `srs`. Mapbox Style zoom levels of layers of
+ * those sources are mapped to the resolutions of the grid. Tile grids for
+ * `EPSG:3857` and `EPSG:4490` are registered by default, the `EPSG:4490` grid
+ * with a `scheme` of `tms`. Sources with an `srs` without a registered tile
+ * grid use the `EPSG:3857` grid and projection.
+ *
+ * The spatial reference needs to be known to OpenLayers, e.g. defined with
+ * proj4 and registered with `register()` from `ol/proj/proj4`:
+ * ```js
+ * proj4.defs('EPSG:4549', '+proj=tmerc +lat_0=0 +lon_0=120 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +units=m +no_defs');
+ * register(proj4);
+ * registerTileGrid('EPSG:4549', {
+ *   extent: [347872.25, 2703739.74, 599933.05, 5912395.20],
+ *   origin: [347872.25, 5912395.20],
+ *   resolutions: [6269.55, 3134.78, 1567.39],
+ *   tileSize: 512
+ * });
+ * ```
+ *
+ * Instead, sources can load their tile grid from an OGC TileMatrixSet with a
+ * `tileMatrixSet` property: an OGC TileMatrixSet JSON object, its url, or
+ * `WebMercatorQuad` or `WorldCRS84Quad`. The tiles of these sources are then
+ * addressed by the tile matrices, which also map the Mapbox Style zoom levels
+ * of their layers to resolutions. The projection is taken from the coordinate
+ * reference system of the tile matrix set, so the `srs` of these sources is
+ * not used.
+ * @param {string} srs Spatial reference, as used for the `srs` of sources.
+ * @param {TileGridOptions} options Tile grid options.
+ * @throws {Error} When the spatial reference is not known to OpenLayers.
+ */
+export function registerTileGrid(srs, options) {
+    if (!getProjection(srs)) {
+        throw new Error(`Unknown projection "${srs}"`);
+    }
+    setTileGridOptions(srs, options);
+}
+
 /**
  * ```js
  * import {getLayer} from 'ol-mapbox-style';
@@ -1092,6 +3857,8 @@ export function getSource(map, sourceId) {
     }
 }
 
+export { setFontProviders, googleFontProvider, createFontManifestProvider } from './fonts';
+
 export {
     finalizeLayer as _finalizeLayer,
     getFonts as _getFonts
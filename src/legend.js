@@ -0,0 +1,511 @@
+/*
+ol-mapbox-style - Use Mapbox Style objects with OpenLayers
+Copyright 2016-present ol-mapbox-style contributors
+License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
+*/
+
+import {
+    Color, derefLayers, expression, function as fn, latest as spec
+} from '@mapbox/mapbox-gl-style-spec';
+import mb2css from 'mapbox-to-css-font';
+import {
+    compileValue, isVisibleAtZoom, drawSdfIcon,
+    _colorWithOpacity as colorWithOpacity, _fromTemplate as fromTemplate
+} from './stylefunction';
+import { createCanvas } from './util';
+
+/**
+ * @typedef {import("./util").TransformRequest} TransformRequest
+ */
+
+/**
+ * @typedef {Object} LegendOptions
+ * @property {Array<string>} [layers] Ids of the layers to include. By default,
+ * all `fill`, `line`, `circle`, `symbol`, `fill-extrusion` and `raster` layers
+ * are included.
+ * @property {number} [zoom] Zoom level to evaluate the style at. Layers that
+ * are not visible at the zoom level are left out. Default is the `zoom` of the
+ * style, or 0.
+ * @property {string} [path] Path of the style file. Only required when a
+ * relative path is used with the `"sprite"` property of the style.
+ * @property {TransformRequest} [transformRequest] Transforms the requests for
+ * the sprite, see the `transformRequest` option of `apply()`.
+ */
+
+/**
+ * @typedef {Object} LegendItem
+ * @property {string} layer Id of the layer.
+ * @property {string} label Label of the item: the layer id, or the class for
+ * layers that are split into classes.
+ * @property {HTMLCanvasElement} image Swatch, 20 pixels high, drawn at the
+ * device pixel ratio.
+ */
+
+const isFunction = fn.isFunction;
+const convertFunction = fn.convertFunction;
+const isExpression = expression.isExpression;
+
+const emptyObj = {};
+const swatchSize = 20;
+
+// Geometry types of the features the swatches are drawn for
+const geometryTypes = {
+    'fill': 3,
+    'line': 2,
+    'circle': 1,
+    'symbol': 1,
+    'fill-extrusion': 3,
+    'raster': 3
+};
+
+// Properties that can split a layer into classes, by layer type
+const classProperties = {
+    'fill': [['paint', 'fill-color'], ['paint', 'fill-pattern'], ['paint', 'fill-outline-color'],
+        ['paint', 'fill-opacity']],
+    'line': [['paint', 'line-color'], ['paint', 'line-width'], ['paint', 'line-opacity']],
+    'circle': [['paint', 'circle-color'], ['paint', 'circle-radius'], ['paint', 'circle-stroke-color'],
+        ['paint', 'circle-stroke-width'], ['paint', 'circle-opacity']],
+    'symbol': [['layout', 'icon-image'], ['paint', 'icon-color'], ['paint', 'text-color'],
+        ['layout', 'icon-size'], ['layout', 'text-size']],
+    'fill-extrusion': [['paint', 'fill-extrusion-color'], ['paint', 'fill-extrusion-opacity']],
+    'raster': []
+};
+
+// Type assertions and conversions around feature property inputs
+const coercions = {
+    'number': true,
+    'string': true,
+    'to-number': true,
+    'to-string': true
+};
+
+/**
+ * Evaluates a property of a legend layer. The classes of a layer share its id,
+ * so unlike in the style function, compiled properties are not cached by layer
+ * id.
+ * @param {Object} layer Gl object layer.
+ * @param {string} layoutOrPaint 'layout' or 'paint'.
+ * @param {string} property Feature property.
+ * @param {number} zoom Zoom.
+ * @param {Object} feature Gl feature.
+ * @param {Object} featureState State of the feature.
+ * @return {?} Value.
+ */
+function getValue(layer, layoutOrPaint, property, zoom, feature, featureState) {
+    return compileValue(layer, layoutOrPaint, property)({zoom: zoom}, feature, featureState);
+}
+
+/**
+ * @param {?} input Input of an expression.
+ * @return {string|undefined} Name of the feature property, when the input is a
+ * `get` expression.
+ */
+function getInputProperty(input) {
+    if (Array.isArray(input) && coercions[input[0]]) {
+        input = input[1];
+    }
+    if (Array.isArray(input) && input[0] === 'get' && input.length == 2 && typeof input[1] == 'string') {
+        return input[1];
+    }
+    return undefined;
+}
+
+/**
+ * @param {string} name Property name.
+ * @param {?} value Property value.
+ * @return {Object} Feature properties.
+ */
+function createProperties(name, value) {
+    const properties = {};
+    properties[name] = value;
+    return properties;
+}
+
+/**
+ * Expands a `match`, `step` or `interpolate` expression on a feature property
+ * into classes, with a label and feature properties that select the class.
+ * @param {?} value Expression.
+ * @param {boolean} fallback Include a class for the fallback of `match`
+ * expressions.
+ * @return {Array<{label: string, properties: Object}>|undefined} Classes, or
+ * `undefined` when the expression cannot be expanded.
+ */
+function expandExpression(value, fallback) {
+    if (!Array.isArray(value)) {
+        return undefined;
+    }
+    const operator = value[0];
+    const name = getInputProperty(operator == 'interpolate' || operator == 'interpolate-hcl' ||
+        operator == 'interpolate-lab' ? value[2] : value[1]);
+    if (name === undefined) {
+        return undefined;
+    }
+    const classes = [];
+    if (operator == 'match') {
+        for (let i = 2, ii = value.length - 1; i < ii; i += 2) {
+            const labels = Array.isArray(value[i]) ? value[i] : [value[i]];
+            classes.push({
+                label: labels.join(', '),
+                properties: createProperties(name, labels[0])
+            });
+        }
+        if (fallback) {
+            classes.push({
+                label: 'other',
+                properties: {}
+            });
+        }
+    } else if (operator == 'step') {
+        const stops = [];
+        for (let i = 3, ii = value.length; i < ii; i += 2) {
+            stops.push(value[i]);
+        }
+        classes.push({
+            label: '< ' + stops[0],
+            properties: createProperties(name, stops[0] - 1)
+        });
+        for (let i = 0, ii = stops.length; i < ii; ++i) {
+            classes.push({
+                label: i < ii - 1 ? stops[i] + ' – ' + stops[i + 1] : '≥ ' + stops[i],
+                properties: createProperties(name, stops[i])
+            });
+        }
+    } else if (operator == 'interpolate' || operator == 'interpolate-hcl' || operator == 'interpolate-lab') {
+        for (let i = 3, ii = value.length; i < ii; i += 2) {
+            classes.push({
+                label: String(value[i]),
+                properties: createProperties(name, value[i])
+            });
+        }
+    } else {
+        return undefined;
+    }
+    return classes;
+}
+
+/**
+ * Gets the classes of a layer, from the first of its swatch properties with a
+ * `match`, `step` or `interpolate` expression on a feature property. Property
+ * functions are converted to expressions first, like `getValue()` does.
+ * @param {Object} layer Gl object layer.
+ * @return {Array<{label: string, properties: Object}>} Classes. One class,
+ * labelled with the layer id, for layers that cannot be split.
+ */
+function getClasses(layer) {
+    const properties = classProperties[layer.type];
+    for (let i = 0, ii = properties.length; i < ii; ++i) {
+        const layoutOrPaint = properties[i][0];
+        const property = properties[i][1];
+        let value = (layer[layoutOrPaint] || emptyObj)[property];
+        if (value === undefined) {
+            continue;
+        }
+        // Categorical functions without a default have no meaningful fallback
+        let fallback = true;
+        if (!isExpression(value) && isFunction(value)) {
+            fallback = 'default' in value;
+            value = convertFunction(value, (spec[`${layoutOrPaint}_${layer.type}`] || spec[layoutOrPaint])[property]);
+        }
+        const classes = expandExpression(value, fallback);
+        if (classes) {
+            return classes;
+        }
+    }
+    return [{
+        label: layer.id,
+        properties: {}
+    }];
+}
+
+/**
+ * @param {?} color Color.
+ * @param {number} factor Brightness factor.
+ * @param {number} opacity Opacity.
+ * @return {string} Shaded color.
+ */
+function shade(color, factor, opacity) {
+    return colorWithOpacity(new Color(color.r * factor, color.g * factor, color.b * factor, color.a), opacity);
+}
+
+/**
+ * @param {Object} spriteData Sprite index.
+ * @param {Object<string, HTMLImageElement>} spriteImages Sprite images by
+ * sheet id.
+ * @param {string} icon Image id.
+ * @return {{data: Object, image: HTMLImageElement}|undefined} Sprite index
+ * entry and sprite image of the icon.
+ */
+function getIcon(spriteData, spriteImages, icon) {
+    const data = spriteData && spriteData[icon];
+    const image = data && spriteImages[data.sprite || 'default'];
+    return image ? {data: data, image: image} : undefined;
+}
+
+/**
+ * @param {CanvasRenderingContext2D} ctx Context.
+ * @param {{data: Object, image: HTMLImageElement}} icon Icon.
+ * @return {CanvasPattern} Pattern of the icon, at its size in pixels of the
+ * sprite's pixel ratio.
+ */
+function createIconPattern(ctx, icon) {
+    const data = icon.data;
+    const canvas = createCanvas(Math.max(1, Math.round(data.width / data.pixelRatio)),
+        Math.max(1, Math.round(data.height / data.pixelRatio)));
+    /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d')).drawImage(icon.image,
+        data.x, data.y, data.width, data.height, 0, 0, canvas.width, canvas.height);
+    return ctx.createPattern(canvas, 'repeat');
+}
+
+/**
+ * Draws the swatch of a `fill`, `line`, `circle`, `fill-extrusion` or
+ * `raster` layer.
+ * @param {CanvasRenderingContext2D} ctx Context, scaled to the pixel ratio.
+ * @param {Object} layer Gl object layer.
+ * @param {number} zoom Zoom.
+ * @param {Object} feature Gl feature.
+ * @param {Object} spriteData Sprite index.
+ * @param {Object<string, HTMLImageElement>} spriteImages Sprite images by
+ * sheet id.
+ */
+function drawShape(ctx, layer, zoom, feature, spriteData, spriteImages) {
+    const paint = layer.paint || emptyObj;
+    const size = swatchSize;
+    switch (layer.type) {
+        case 'fill': {
+            const opacity = getValue(layer, 'paint', 'fill-opacity', zoom, feature, emptyObj);
+            const pattern = 'fill-pattern' in paint ? getValue(layer, 'paint', 'fill-pattern', zoom, feature, emptyObj) : undefined;
+            const icon = pattern && getIcon(spriteData, spriteImages,
+                typeof pattern == 'string' ? fromTemplate(pattern, feature.properties) : pattern.toString());
+            if (icon) {
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = createIconPattern(ctx, icon);
+            } else {
+                ctx.fillStyle = colorWithOpacity(getValue(layer, 'paint', 'fill-color', zoom, feature, emptyObj), opacity) ||
+                    'transparent';
+            }
+            ctx.fillRect(1, 1, size - 2, size - 2);
+            ctx.globalAlpha = 1;
+            if ('fill-outline-color' in paint) {
+                const outlineColor = colorWithOpacity(getValue(layer, 'paint', 'fill-outline-color', zoom, feature, emptyObj), opacity);
+                if (outlineColor) {
+                    ctx.strokeStyle = outlineColor;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(1.5, 1.5, size - 3, size - 3);
+                }
+            }
+            break;
+        }
+        case 'line': {
+            const color = colorWithOpacity(getValue(layer, 'paint', 'line-color', zoom, feature, emptyObj),
+                getValue(layer, 'paint', 'line-opacity', zoom, feature, emptyObj));
+            const width = Math.min(getValue(layer, 'paint', 'line-width', zoom, feature, emptyObj), size - 4);
+            if (!color || !(width > 0)) {
+                break;
+            }
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.lineCap = getValue(layer, 'layout', 'line-cap', zoom, feature, emptyObj);
+            if ('line-dasharray' in paint) {
+                ctx.setLineDash(getValue(layer, 'paint', 'line-dasharray', zoom, feature, emptyObj).map(function (x) {
+                    return x * width;
+                }));
+            }
+            ctx.beginPath();
+            ctx.moveTo(2, size / 2);
+            ctx.lineTo(size - 2, size / 2);
+            ctx.stroke();
+            break;
+        }
+        case 'circle': {
+            const strokeWidth = Math.min(getValue(layer, 'paint', 'circle-stroke-width', zoom, feature, emptyObj), size / 4);
+            const radius = Math.min(getValue(layer, 'paint', 'circle-radius', zoom, feature, emptyObj),
+                (size - strokeWidth) / 2 - 1);
+            const color = colorWithOpacity(getValue(layer, 'paint', 'circle-color', zoom, feature, emptyObj),
+                getValue(layer, 'paint', 'circle-opacity', zoom, feature, emptyObj));
+            const strokeColor = colorWithOpacity(getValue(layer, 'paint', 'circle-stroke-color', zoom, feature, emptyObj),
+                getValue(layer, 'paint', 'circle-stroke-opacity', zoom, feature, emptyObj));
+            ctx.beginPath();
+            ctx.arc(size / 2, size / 2, Math.max(radius, 0), 0, 2 * Math.PI);
+            if (color) {
+                ctx.fillStyle = color;
+                ctx.fill();
+            }
+            if (strokeColor && strokeWidth > 0) {
+                ctx.strokeStyle = strokeColor;
+                ctx.lineWidth = strokeWidth;
+                ctx.stroke();
+            }
+            break;
+        }
+        case 'fill-extrusion': {
+            // A box with a lit roof and shaded walls
+            const color = getValue(layer, 'paint', 'fill-extrusion-color', zoom, feature, emptyObj);
+            const opacity = getValue(layer, 'paint', 'fill-extrusion-opacity', zoom, feature, emptyObj);
+            const depth = size / 4;
+            const front = [2, 2 + depth, size - 2 - depth, size - 2];
+            ctx.fillStyle = shade(color, 0.8, opacity);
+            ctx.fillRect(front[0], front[1], front[2] - front[0], front[3] - front[1]);
+            ctx.fillStyle = shade(color, 0.6, opacity);
+            ctx.beginPath();
+            ctx.moveTo(front[2], front[1]);
+            ctx.lineTo(front[2] + depth, front[1] - depth);
+            ctx.lineTo(front[2] + depth, front[3] - depth);
+            ctx.lineTo(front[2], front[3]);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = shade(color, 1, opacity);
+            ctx.beginPath();
+            ctx.moveTo(front[0], front[1]);
+            ctx.lineTo(front[0] + depth, front[1] - depth);
+            ctx.lineTo(front[2] + depth, front[1] - depth);
+            ctx.lineTo(front[2], front[1]);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        }
+        case 'raster': {
+            // A checkerboard, for the imagery of the source
+            ctx.globalAlpha = getValue(layer, 'paint', 'raster-opacity', zoom, feature, emptyObj);
+            const half = (size - 2) / 2;
+            for (let i = 0; i < 4; ++i) {
+                ctx.fillStyle = i == 0 || i == 3 ? '#bbb' : '#777';
+                ctx.fillRect(1 + (i % 2) * half, 1 + Math.floor(i / 2) * half, half, half);
+            }
+            ctx.globalAlpha = 1;
+            break;
+        }
+        default:
+    }
+}
+
+/**
+ * Draws the swatch of a `symbol` layer: its icon, and a text sample when the
+ * layer has a `text-field`.
+ * @param {Object} layer Gl object layer.
+ * @param {number} zoom Zoom.
+ * @param {Object} feature Gl feature.
+ * @param {Object} spriteData Sprite index.
+ * @param {Object<string, HTMLImageElement>} spriteImages Sprite images by
+ * sheet id.
+ * @param {number} pixelRatio Pixel ratio.
+ * @param {function(Array<string>):Array<string>} [getFonts] Function that
+ * returns an available font stack.
+ * @return {HTMLCanvasElement} Swatch.
+ */
+function drawSymbol(layer, zoom, feature, spriteData, spriteImages, pixelRatio, getFonts) {
+    const layout = layer.layout || emptyObj;
+    const paint = layer.paint || emptyObj;
+    const size = swatchSize;
+    let icon;
+    if ('icon-image' in layout) {
+        const iconImage = getValue(layer, 'layout', 'icon-image', zoom, feature, emptyObj);
+        if (iconImage) {
+            icon = getIcon(spriteData, spriteImages,
+                typeof iconImage == 'string' ? fromTemplate(iconImage, feature.properties) : iconImage.toString());
+        }
+    }
+    const text = 'text-field' in layout;
+    const width = icon && text ? 2 * size : size;
+    const canvas = createCanvas(Math.round(width * pixelRatio), Math.round(size * pixelRatio));
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    ctx.scale(pixelRatio, pixelRatio);
+    if (icon) {
+        const data = icon.data;
+        let image = icon.image;
+        let x = data.x;
+        let y = data.y;
+        if (data.sdf) {
+            const iconColor = getValue(layer, 'paint', 'icon-color', zoom, feature, emptyObj);
+            const haloColor = getValue(layer, 'paint', 'icon-halo-color', zoom, feature, emptyObj);
+            const haloWidth = getValue(layer, 'paint', 'icon-halo-width', zoom, feature, emptyObj);
+            const haloBlur = getValue(layer, 'paint', 'icon-halo-blur', zoom, feature, emptyObj);
+            image = drawSdfIcon(image, data, 1, iconColor, haloColor, haloWidth, haloBlur);
+            x = y = 0;
+        }
+        const iconSize = getValue(layer, 'layout', 'icon-size', zoom, feature, emptyObj);
+        const scale = Math.min(iconSize / data.pixelRatio, (size - 2) / Math.max(data.width, data.height));
+        const iconWidth = data.width * scale;
+        const iconHeight = data.height * scale;
+        ctx.globalAlpha = getValue(layer, 'paint', 'icon-opacity', zoom, feature, emptyObj);
+        ctx.drawImage(image, x, y, data.width, data.height,
+            (size - iconWidth) / 2, (size - iconHeight) / 2, iconWidth, iconHeight);
+        ctx.globalAlpha = 1;
+    }
+    if (text) {
+        const textSize = Math.min(getValue(layer, 'layout', 'text-size', zoom, feature, emptyObj), size - 4);
+        const fontArray = getValue(layer, 'layout', 'text-font', zoom, feature, emptyObj);
+        const textTransform = layout['text-transform'];
+        const sample = textTransform == 'uppercase' ? 'AA' : textTransform == 'lowercase' ? 'aa' : 'Aa';
+        const opacity = getValue(layer, 'paint', 'text-opacity', zoom, feature, emptyObj);
+        const x = width - size / 2;
+        ctx.font = mb2css(getFonts ? getFonts(fontArray) : fontArray, textSize);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if ('text-halo-width' in paint) {
+            const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, feature, emptyObj), opacity);
+            const haloWidth = getValue(layer, 'paint', 'text-halo-width', zoom, feature, emptyObj);
+            if (haloColor && haloWidth > 0) {
+                ctx.strokeStyle = haloColor;
+                ctx.lineWidth = 2 * haloWidth;
+                ctx.lineJoin = 'round';
+                ctx.strokeText(sample, x, size / 2);
+            }
+        }
+        const color = colorWithOpacity(getValue(layer, 'paint', 'text-color', zoom, feature, emptyObj), opacity);
+        if (color) {
+            ctx.fillStyle = color;
+            ctx.fillText(sample, x, size / 2);
+        }
+    }
+    return canvas;
+}
+
+/**
+ * Creates the legend items of the layers of a style, with the sprite already
+ * loaded.
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {LegendOptions} options Options.
+ * @param {Object} [spriteData] Sprite index, for sprite arrays with the id of
+ * their sheet as `sprite`.
+ * @param {Object<string, HTMLImageElement>} [spriteImages] Sprite images by
+ * sheet id, `default` for a single sprite.
+ * @param {function(Array<string>):Array<string>} [getFonts] Function that
+ * returns an available font stack.
+ * @return {Array<LegendItem>} Legend items, in the order of the layers.
+ */
+export function createLegend(glStyle, options, spriteData, spriteImages = {}, getFonts) {
+    const zoom = options.zoom !== undefined ? options.zoom : (glStyle.zoom || 0);
+    const pixelRatio = typeof devicePixelRatio !== 'undefined' ? devicePixelRatio : 1;
+    const layerIds = options.layers;
+    const layers = derefLayers(glStyle.layers);
+    const items = [];
+    for (let i = 0, ii = layers.length; i < ii; ++i) {
+        const layer = layers[i];
+        if (!(layer.type in geometryTypes) || (layerIds && layerIds.indexOf(layer.id) === -1) ||
+            !isVisibleAtZoom(layer, zoom)) {
+            continue;
+        }
+        const classes = getClasses(layer);
+        for (let j = 0, jj = classes.length; j < jj; ++j) {
+            const feature = {
+                properties: classes[j].properties,
+                type: geometryTypes[layer.type]
+            };
+            let canvas;
+            if (layer.type == 'symbol') {
+                canvas = drawSymbol(layer, zoom, feature, spriteData, spriteImages, pixelRatio, getFonts);
+            } else {
+                canvas = createCanvas(Math.round(swatchSize * pixelRatio), Math.round(swatchSize * pixelRatio));
+                const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+                ctx.scale(pixelRatio, pixelRatio);
+                drawShape(ctx, layer, zoom, feature, spriteData, spriteImages);
+            }
+            items.push({
+                layer: layer.id,
+                label: classes[j].label,
+                image: canvas
+            });
+        }
+    }
+    return items;
+}
@@ -0,0 +1,108 @@
+/*
+ol-mapbox-style - Use Mapbox Style objects with OpenLayers
+Copyright 2016-present ol-mapbox-style contributors
+License: https://raw.githubusercontent.com/openlayers/ol-mapbox-style/master/LICENSE
+*/
+
+/**
+ * Raster operation for `hillshade` layers, following the `hillshade_prepare`
+ * and `hillshade` shaders of Mapbox GL JS.
+ *
+ * The operation may run in a worker, where it is serialized. So it must not
+ * use anything from outside the function.
+ *
+ * `data` needs to be populated in a `beforeoperations` listener with:
+ *  * `resolution`: Ground resolution in meters per pixel.
+ *  * `encoding`: `'mapbox'` or `'terrarium'`.
+ *  * `exaggeration`: The `hillshade-exaggeration`.
+ *  * `azimuth`: Illumination direction in radians, relative to the image.
+ *  * `shadowColor`, `highlightColor`, `accentColor`: Premultiplied colors as
+ *    `[r, g, b, a]` arrays with values between 0 and 1.
+ *
+ * @param {Array<ImageData>} inputs Elevation image.
+ * @param {Object} data Data from the `beforeoperations` listener.
+ * @return {ImageData} Hillshade image.
+ */
+export function hillshade(inputs, data) {
+    const elevationImage = inputs[0];
+    const width = elevationImage.width;
+    const height = elevationImage.height;
+    const elevationData = elevationImage.data;
+    const shadeData = new Uint8ClampedArray(elevationData.length);
+    const maxX = width - 1;
+    const maxY = height - 1;
+    const terrarium = data.encoding === 'terrarium';
+    const intensity = data.exaggeration;
+    const azimuth = data.azimuth + Math.PI;
+    const shadowColor = data.shadowColor;
+    const highlightColor = data.highlightColor;
+    const accentColor = data.accentColor;
+    const base = 1.875 - intensity * 1.75;
+    const maxValue = 0.5 * Math.PI;
+    const scaledMaxValue = Math.pow(base, maxValue) - 1;
+    const strength = Math.min(Math.max(intensity * 2, 0), 1);
+    // Sobel operator weights sum up to 8
+    const derivFactor = 1 / (8 * data.resolution);
+
+    const elevations = new Float32Array(width * height);
+    for (let i = 0, ii = width * height; i < ii; ++i) {
+        const offset = i * 4;
+        const r = elevationData[offset];
+        const g = elevationData[offset + 1];
+        const b = elevationData[offset + 2];
+        elevations[i] = terrarium ?
+            (r * 256 + g + b / 256 - 32768) :
+            (-10000 + (r * 256 * 256 + g * 256 + b) * 0.1);
+    }
+
+    function elevation(x, y) {
+        return elevations[Math.min(Math.max(y, 0), maxY) * width + Math.min(Math.max(x, 0), maxX)];
+    }
+
+    for (let y = 0; y <= maxY; ++y) {
+        for (let x = 0; x <= maxX; ++x) {
+            const offset = (y * width + x) * 4;
+            if (elevationData[offset + 3] === 0) {
+                // No elevation data
+                continue;
+            }
+            const a = elevation(x - 1, y - 1);
+            const b = elevation(x, y - 1);
+            const c = elevation(x + 1, y - 1);
+            const d = elevation(x - 1, y);
+            const f = elevation(x + 1, y);
+            const g = elevation(x - 1, y + 1);
+            const h = elevation(x, y + 1);
+            const i = elevation(x + 1, y + 1);
+            const derivX = ((c + f + f + i) - (a + d + d + g)) * derivFactor;
+            const derivY = ((g + h + h + i) - (a + b + b + c)) * derivFactor;
+
+            const slope = Math.atan(1.25 * Math.sqrt(derivX * derivX + derivY * derivY));
+            const aspect = derivX !== 0 ?
+                Math.atan2(derivY, -derivX) :
+                0.5 * Math.PI * (derivY > 0 ? 1 : -1);
+            const scaledSlope = intensity !== 0.5 ?
+                ((Math.pow(base, slope) - 1) / scaledMaxValue) * maxValue :
+                slope;
+            const accent = (1 - Math.cos(scaledSlope)) * strength;
+            let shade = (aspect + azimuth) / Math.PI + 0.5;
+            shade = Math.abs(shade - 2 * Math.floor(shade / 2) - 1);
+            const shadeFactor = Math.sin(scaledSlope) * strength;
+
+            const shadeAlpha = (shadowColor[3] + (highlightColor[3] - shadowColor[3]) * shade) * shadeFactor;
+            const alpha = accentColor[3] * accent * (1 - shadeAlpha) + shadeAlpha;
+            if (alpha <= 0) {
+                continue;
+            }
+            for (let j = 0; j < 3; ++j) {
+                const shadeValue = (shadowColor[j] + (highlightColor[j] - shadowColor[j]) * shade) * shadeFactor;
+                const value = accentColor[j] * accent * (1 - shadeAlpha) + shadeValue;
+                // Premultiplied to straight alpha
+                shadeData[offset + j] = 255 * value / alpha;
+            }
+            shadeData[offset + 3] = 255 * alpha;
+        }
+    }
+
+    return new ImageData(shadeData, width, height);
+}
@@ -11,6 +11,10 @@ import Icon from 'ol-zhyt/style/Icon';
 import Text from 'ol-zhyt/style/Text';
 import Circle from 'ol-zhyt/style/Circle';
 import RenderFeature from 'ol-zhyt/render/Feature';
+import BaseEvent from 'ol-zhyt/events/Event';
+import { getUid } from 'ol-zhyt/util';
+import { get as getProjection, getPointResolution } from 'ol-zhyt/proj';
+import { getCenter } from 'ol-zhyt/extent';
 import { derefLayers } from '@mapbox/mapbox-gl-style-spec';
 
 import {
@@ -20,12 +24,20 @@ import {
     featureFilter as createFilter
 } from '@mapbox/mapbox-gl-style-spec';
 import mb2css from 'mapbox-to-css-font';
-import { deg2rad, defaultResolutions, getZoomForResolution, wrapText, applyLetterSpacing, createCanvas } from './util';
+import {
+    deg2rad, defaultResolutions, getZoomForResolution, wrapText, applyLetterSpacing, createCanvas, setImageSrc,
+    getRequestParameters
+} from './util';
 
 /**
  * @typedef {import("ol-zhyt/layer/Vector").default} VectorLayer
  * @typedef {import("ol-zhyt/layer/VectorTile").default} VectorTileLayer
  * @typedef {import("ol-zhyt/style/Style").StyleFunction} StyleFunction
+ * @typedef {import("ol-zhyt/style/Style").RenderFunction} RenderFunction
+ * @typedef {import("ol-zhyt/Feature").FeatureLike} FeatureLike
+ * @typedef {import("ol-zhyt/proj").ProjectionLike} ProjectionLike
+ * @typedef {import("ol-zhyt/proj/Projection").default} Projection
+ * @typedef {import("./util").TransformRequest} TransformRequest
  */
 
 const isFunction = fn.isFunction;
@@ -33,7 +45,8 @@ const convertFunction = fn.convertFunction;
 const isExpression = expression.isExpression;
 const createPropertyExpression = expression.createPropertyExpression;
 
-const types = {
+/** @private */
+export const types = {
     'Point': 1,
     'MultiPoint': 1,
     'LineString': 2,
@@ -67,6 +80,37 @@ const zoomObj = { zoom: 0 };
 const functionCache = {};
 let renderFeatureCoordinates, renderFeature;
 
+/**
+ * @private
+ * @param {Object} layer Gl object layer.
+ * @param {string} layoutOrPaint 'layout' or 'paint'.
+ * @param {string} property Feature property.
+ * @return {function(Object, Object, Object): ?} Function that evaluates the
+ * property with the zoom, the feature and the feature state.
+ */
+export function compileValue(layer, layoutOrPaint, property) {
+    let value = (layer[layoutOrPaint] || emptyObj)[property];
+    const propertySpec = (spec[`${layoutOrPaint}_${layer.type}`] || spec[layoutOrPaint])[property];
+    if (value === undefined) {
+        value = propertySpec.default;
+    }
+    let isExpr = isExpression((value));
+    if (!isExpr && isFunction(value)) {
+        value = convertFunction(value, propertySpec);
+        isExpr = true;
+    }
+    if (isExpr) {
+        const compiledExpression = expressionData(value, propertySpec);
+        return compiledExpression.evaluate.bind(compiledExpression);
+    }
+    if (propertySpec.type == 'color') {
+        value = Color.parse(value);
+    }
+    return function () {
+        return value;
+    };
+}
+
 /**
  * @private
  * @param {Object} layer Gl object layer.
@@ -74,39 +118,21 @@ let renderFeatureCoordinates, renderFeature;
  * @param {string} property Feature property.
  * @param {number} zoom Zoom.
  * @param {Object} feature Gl feature.
+ * @param {Object} [featureState] State of the feature, for `feature-state`
+ * expressions.
  * @return {?} Value.
  */
-export function getValue(layer, layoutOrPaint, property, zoom, feature) {
+export function getValue(layer, layoutOrPaint, property, zoom, feature, featureState) {
     const layerId = layer.id;
     if (!functionCache[layerId]) {
         functionCache[layerId] = {};
     }
     const functions = functionCache[layerId];
     if (!functions[property]) {
-        let value = (layer[layoutOrPaint] || emptyObj)[property];
-        const propertySpec = spec[`${layoutOrPaint}_${layer.type}`][property];
-        if (value === undefined) {
-            value = propertySpec.default;
-        }
-        let isExpr = isExpression((value));
-        if (!isExpr && isFunction(value)) {
-            value = convertFunction(value, propertySpec);
-            isExpr = true;
-        }
-        if (isExpr) {
-            const compiledExpression = expressionData(value, propertySpec);
-            functions[property] = compiledExpression.evaluate.bind(compiledExpression);
-        } else {
-            if (propertySpec.type == 'color') {
-                value = Color.parse(value);
-            }
-            functions[property] = function () {
-                return value;
-            };
-        }
+        functions[property] = compileValue(layer, layoutOrPaint, property);
     }
     zoomObj.zoom = zoom;
-    return functions[property](zoomObj, feature);
+    return functions[property](zoomObj, feature, featureState);
 }
 
 /** @private */
@@ -120,7 +146,7 @@ const filterCache = {};
  * @param {number} zoom Zoom.
  * @return {boolean} Filter result.
  */
-function evaluateFilter(layerId, filter, feature, zoom) {
+export function evaluateFilter(layerId, filter, feature, zoom) {
     if (!(layerId in filterCache)) {
         filterCache[layerId] = createFilter(filter).filter;
     }
@@ -128,6 +154,86 @@ function evaluateFilter(layerId, filter, feature, zoom) {
     return filterCache[layerId](zoomObj, feature);
 }
 
+/**
+ * @private
+ * Definitions of the layers, as JSON by layer id, that style functions were
+ * created for. Compiled functions and filters of layers with the same
+ * definition are reused.
+ */
+const layerDefinitions = {};
+
+/**
+ * @private
+ * Clears the compiled functions and filters of a layer, so they will be
+ * compiled again from the layer's current definition.
+ * @param {string} layerId Layer id.
+ */
+export function clearLayerCaches(layerId) {
+    delete functionCache[layerId];
+    delete filterCache[layerId];
+}
+
+/**
+ * @private
+ * @param {Object} layer Gl object layer.
+ * @param {number} zoom Zoom.
+ * @return {boolean} The layer is visible at the zoom level.
+ */
+export function isVisibleAtZoom(layer, zoom) {
+    const layout = layer.layout || emptyObj;
+    return layout.visibility !== 'none' && !('minzoom' in layer && zoom < layer.minzoom) &&
+        !('maxzoom' in layer && zoom >= layer.maxzoom);
+}
+
+/**
+ * @private
+ * @param {Object} layer Gl object layer.
+ * @param {string} geometryType OpenLayers geometry type of the feature.
+ * @return {boolean} The style function renders features of the geometry type
+ * with the layer.
+ */
+export function rendersGeometryType(layer, geometryType) {
+    const type = types[geometryType];
+    const layout = layer.layout || emptyObj;
+    switch (layer.type) {
+        case 'fill':
+        case 'fill-extrusion':
+            return type == 3;
+        case 'line':
+            return type != 1;
+        case 'circle':
+            return type == 1 && 'circle-radius' in (layer.paint || emptyObj);
+        case 'symbol':
+            return (type != 3 && 'icon-image' in layout) || 'text-field' in layout;
+        default:
+            return false;
+    }
+}
+
+const heatmapObj = { zoom: 0, heatmapDensity: 0 };
+
+/**
+ * @private
+ * Samples the `heatmap-color` ramp of a `heatmap` layer at evenly spaced
+ * `['heatmap-density']` values.
+ * @param {Object} layer Gl object layer.
+ * @param {number} zoom Zoom.
+ * @param {number} steps Number of samples.
+ * @return {Array<string>} Colors, from density 0 to density 1.
+ */
+export function getHeatmapGradient(layer, zoom, steps) {
+    // Compile and cache the expression like for any other property
+    getValue(layer, 'paint', 'heatmap-color', zoom, emptyObj);
+    const evaluate = functionCache[layer.id]['heatmap-color'];
+    heatmapObj.zoom = zoom;
+    const gradient = [];
+    for (let i = 0; i < steps; ++i) {
+        heatmapObj.heatmapDensity = i / (steps - 1);
+        gradient.push(colorWithOpacity(evaluate(heatmapObj, emptyObj), 1) || 'rgba(0,0,0,0)');
+    }
+    return gradient;
+}
+
 /**
  * @private
  * @param {?} color Color.
@@ -147,6 +253,269 @@ function colorWithOpacity(color, opacity) {
     return color;
 }
 
+const lightId = 'olms-light';
+
+/**
+ * @private
+ * Evaluates the style's root `light` property.
+ * @param {Object} glStyle Mapbox Style object.
+ * @param {number} zoom Zoom.
+ * @return {Object} Light with `anchor`, `position`, `color` and `intensity`.
+ */
+function getLight(glStyle, zoom) {
+    const lightLayer = {
+        id: lightId,
+        light: glStyle.light
+    };
+    return {
+        anchor: getValue(lightLayer, 'light', 'anchor', zoom, emptyObj),
+        position: getValue(lightLayer, 'light', 'position', zoom, emptyObj),
+        color: getValue(lightLayer, 'light', 'color', zoom, emptyObj),
+        intensity: getValue(lightLayer, 'light', 'intensity', zoom, emptyObj)
+    };
+}
+
+/**
+ * @private
+ * Direction of the light in the frame of rendered pixel coordinates, which is
+ * y-down and not rotated with the view.
+ * @param {Object} light Light from `getLight()`.
+ * @param {number} rotation View rotation.
+ * @return {Array<number>} Light direction, scaled by the light's radial coordinate.
+ */
+function getLightDirection(light, rotation) {
+    const position = light.position;
+    const azimuth = deg2rad(position[1]) + (light.anchor === 'map' ? 0 : -rotation);
+    const polar = deg2rad(position[2]);
+    return [
+        position[0] * Math.sin(azimuth) * Math.sin(polar),
+        -position[0] * Math.cos(azimuth) * Math.sin(polar),
+        position[0] * Math.cos(polar)
+    ];
+}
+
+/**
+ * @private
+ * Shades a surface of an extrusion, following the lighting of Mapbox GL JS.
+ * @param {?} color Color.
+ * @param {number} opacity Opacity.
+ * @param {Array<number>} normal Surface normal.
+ * @param {Array<number>} lightDirection Light direction.
+ * @param {Object} light Light from `getLight()`.
+ * @return {string} Color.
+ */
+function shadeExtrusion(color, opacity, normal, lightDirection, light) {
+    const intensity = light.intensity;
+    const lightColor = light.color;
+    const colorValue = color.r * 0.2126 + color.g * 0.7152 + color.b * 0.0722;
+    let directional = normal[0] * lightDirection[0] + normal[1] * lightDirection[1] + normal[2] * lightDirection[2];
+    directional = Math.min(Math.max(directional, 0), 1);
+    directional = (1 - intensity) + (Math.max(1 - colorValue + intensity, 1) - (1 - intensity)) * directional;
+    const channel = function (value, lightValue) {
+        // Slight ambient light, so no extrusions are totally black
+        return Math.round(255 * Math.min(Math.max((value + 0.03) * directional * lightValue, 0.3 * (1 - lightValue)), 1));
+    };
+    return 'rgba(' + channel(color.r, lightColor.r) + ',' + channel(color.g, lightColor.g) + ',' +
+        channel(color.b, lightColor.b) + ',' + opacity + ')';
+}
+
+/**
+ * @private
+ * Creates a style renderer that draws an extruded polygon: the walls facing the
+ * viewer, sorted back to front, and the roof. Heights are drawn upwards on the
+ * screen, as if the map was viewed from an angle.
+ * Heights are scaled with the ground resolution at the center of the geometry,
+ * so they match the map in any projection.
+ * @param {number} height Height in meters.
+ * @param {number} base Base height in meters.
+ * @param {?} color Color.
+ * @param {number} opacity Opacity.
+ * @param {Projection} projection Projection of the geometry.
+ * @param {Object} light Light from `getLight()`.
+ * @return {RenderFunction} Renderer.
+ */
+function createExtrusionRenderer(height, base, color, opacity, projection, light) {
+    return function (pixelCoordinates, state) {
+        const context = state.context;
+        const rotation = state.rotation;
+        const center = getCenter(state.geometry.getExtent());
+        const scale = state.pixelRatio / getPointResolution(projection, state.resolution, center, 'm');
+        // Up on the screen
+        const upX = -Math.sin(rotation);
+        const upY = -Math.cos(rotation);
+        const topX = upX * height * scale;
+        const topY = upY * height * scale;
+        const baseX = upX * base * scale;
+        const baseY = upY * base * scale;
+        const lightDirection = getLightDirection(light, rotation);
+
+        const polygons = state.geometry.getType() == 'MultiPolygon' ?
+        /** @type {Array<Array<Array<Array<number>>>>} */ (pixelCoordinates) :
+            [/** @type {Array<Array<Array<number>>>} */ (pixelCoordinates)];
+        const walls = [];
+        for (let i = 0, ii = polygons.length; i < ii; ++i) {
+            const rings = polygons[i];
+            // Rings with the orientation of the first ring are exterior rings,
+            // others are holes. Walls of holes face into the hole.
+            let area = 0;
+            const first = rings[0];
+            for (let j = 0, jj = first.length - 1; j < jj; ++j) {
+                area += first[j][0] * first[j + 1][1] - first[j + 1][0] * first[j][1];
+            }
+            const orientation = area > 0 ? 1 : -1;
+            for (let j = 0, jj = rings.length; j < jj; ++j) {
+                const ring = rings[j];
+                for (let k = 0, kk = ring.length - 1; k < kk; ++k) {
+                    const p1 = ring[k];
+                    const p2 = ring[k + 1];
+                    const dx = p2[0] - p1[0];
+                    const dy = p2[1] - p1[1];
+                    const length = Math.sqrt(dx * dx + dy * dy);
+                    if (length === 0) {
+                        continue;
+                    }
+                    const normalX = orientation * dy / length;
+                    const normalY = -orientation * dx / length;
+                    if (normalX * upX + normalY * upY > 0) {
+                        // Facing away from the viewer
+                        continue;
+                    }
+                    walls.push({
+                        p1: p1,
+                        p2: p2,
+                        normal: [normalX, normalY, 0],
+                        depth: (p1[0] + p2[0]) * upX + (p1[1] + p2[1]) * upY
+                    });
+                }
+            }
+        }
+        walls.sort(function (a, b) {
+            return b.depth - a.depth;
+        });
+        for (let i = 0, ii = walls.length; i < ii; ++i) {
+            const wall = walls[i];
+            context.beginPath();
+            context.moveTo(wall.p1[0] + baseX, wall.p1[1] + baseY);
+            context.lineTo(wall.p2[0] + baseX, wall.p2[1] + baseY);
+            context.lineTo(wall.p2[0] + topX, wall.p2[1] + topY);
+            context.lineTo(wall.p1[0] + topX, wall.p1[1] + topY);
+            context.closePath();
+            context.fillStyle = shadeExtrusion(color, opacity, wall.normal, lightDirection, light);
+            context.fill();
+        }
+        context.beginPath();
+        for (let i = 0, ii = polygons.length; i < ii; ++i) {
+            const rings = polygons[i];
+            for (let j = 0, jj = rings.length; j < jj; ++j) {
+                const ring = rings[j];
+                context.moveTo(ring[0][0] + topX, ring[0][1] + topY);
+                for (let k = 1, kk = ring.length; k < kk; ++k) {
+                    context.lineTo(ring[k][0] + topX, ring[k][1] + topY);
+                }
+                context.closePath();
+            }
+        }
+        context.fillStyle = shadeExtrusion(color, opacity, [0, 0, 1], lightDirection, light);
+        context.fill('evenodd');
+    };
+}
+
+/**
+ * @private
+ * Render order for extrusions: features further up on the screen first.
+ * @param {FeatureLike} feature1 Feature.
+ * @param {FeatureLike} feature2 Feature.
+ * @return {number} Sort value.
+ */
+function backToFront(feature1, feature2) {
+    const geometry1 = feature1.getGeometry();
+    const geometry2 = feature2.getGeometry();
+    if (!geometry1 || !geometry2) {
+        return 0;
+    }
+    return geometry2.getExtent()[1] - geometry1.getExtent()[1];
+}
+
+// Constants of the SDF symbol shader of Mapbox GL JS
+const sdfEdgeGamma = 0.105;
+const sdfPx = 8;
+const sdfBuffer = 0.75;
+
+/**
+ * @param {number} edge0 Lower edge.
+ * @param {number} edge1 Upper edge.
+ * @param {number} x Value.
+ * @return {number} Smooth Hermite interpolation between 0 and 1.
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * @private
+ * Draws a sprite icon that has a signed distance field in its alpha channel,
+ * like Mapbox GL JS does for sprite entries with `sdf: true`. The distance
+ * field is scaled to the icon size before it is thresholded, so edges are
+ * smooth at any size. The halo is drawn behind the icon.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} spriteImage Sprite
+ * image.
+ * @param {Object} spriteImageData Sprite index entry of the icon.
+ * @param {number} iconSize Icon size.
+ * @param {?} color Icon color.
+ * @param {?} haloColor Halo color.
+ * @param {number} haloWidth Halo width in pixels.
+ * @param {number} haloBlur Halo blur in pixels.
+ * @return {HTMLCanvasElement} Icon, at the pixel ratio of the sprite.
+ */
+export function drawSdfIcon(spriteImage, spriteImageData, iconSize, color, haloColor, haloWidth, haloBlur) {
+    const width = Math.max(1, Math.round(spriteImageData.width * iconSize));
+    const height = Math.max(1, Math.round(spriteImageData.height * iconSize));
+    const canvas = createCanvas(width, height);
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    ctx.drawImage(
+        spriteImage,
+        spriteImageData.x,
+        spriteImageData.y,
+        spriteImageData.width,
+        spriteImageData.height,
+        0,
+        0,
+        width,
+        height
+    );
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    const edgeGamma = sdfEdgeGamma / spriteImageData.pixelRatio;
+    const gamma = edgeGamma / iconSize;
+    const halo = haloColor && haloColor.a > 0 && haloWidth > 0;
+    const haloGamma = (haloBlur * 1.19 / sdfPx + edgeGamma) / iconSize;
+    const haloBuffer = (6 - haloWidth / iconSize) / sdfPx;
+    for (let i = 0, ii = data.length; i < ii; i += 4) {
+        const distance = data[i + 3] / 255;
+        // Colors are premultiplied
+        const fillAlpha = color.a * smoothstep(sdfBuffer - gamma, sdfBuffer + gamma, distance);
+        let r = color.r / color.a * fillAlpha || 0;
+        let g = color.g / color.a * fillAlpha || 0;
+        let b = color.b / color.a * fillAlpha || 0;
+        let a = fillAlpha;
+        if (halo) {
+            const haloAlpha = haloColor.a * smoothstep(haloBuffer - haloGamma, haloBuffer + haloGamma, distance) *
+                (1 - fillAlpha);
+            r += haloColor.r / haloColor.a * haloAlpha;
+            g += haloColor.g / haloColor.a * haloAlpha;
+            b += haloColor.b / haloColor.a * haloAlpha;
+            a += haloAlpha;
+        }
+        data[i] = a > 0 ? r / a * 255 : 0;
+        data[i + 1] = a > 0 ? g / a * 255 : 0;
+        data[i + 2] = a > 0 ? b / a * 255 : 0;
+        data[i + 3] = a * 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
 const templateRegEx = /^([^]*)\{(.*)\}([^]*)$/;
 
 /**
@@ -167,6 +536,41 @@ function fromTemplate(text, properties) {
     return text;
 }
 
+/**
+ * Loads a sprite image. In a web worker, the image is loaded by the main thread,
+ * with the url, headers and credentials mode of the transformed request.
+ * @param {string} src Image url.
+ * @param {function((HTMLImageElement|ImageBitmap)):void} callback Called with
+ * the loaded image.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ */
+function loadSpriteImage(src, callback, transformRequest) {
+    if (typeof Image !== 'undefined') {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = function () {
+            callback(img);
+            img.onload = null;
+        };
+        setImageSrc(img, src, 'SpriteImage', transformRequest);
+    } else if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) { //eslint-disable-line
+        const worker = /** @type {*} */ (self);
+        const request = getRequestParameters(src, 'SpriteImage', transformRequest);
+        // Main thread needs to handle 'loadImage' and dispatch 'imageLoaded'
+        worker.postMessage({
+            action: 'loadImage',
+            src: request.url,
+            headers: request.headers,
+            credentials: request.credentials
+        });
+        worker.addEventListener('message', function handler(event) {
+            if (event.data.action === 'imageLoaded' && event.data.src === request.url) {
+                callback(event.data.image);
+            }
+        });
+    }
+}
+
 /**
  * ```js
  * import stylefunction from 'ol-mapbox-style/dist/stylefunction';
@@ -184,25 +588,32 @@ function fromTemplate(text, properties) {
  *  * `mapbox-layers`: The `id`s of the Mapbox Style document's layers that are
  *    included in the OpenLayers layer.
  *
+ * Images for `icon-image`, `fill-pattern` and `line-pattern` that are not in
+ * the sprite are taken from the layer's `mapbox-images` property, which
+ * `addImage()` maintains. When an image is in neither, a `styleimagemissing`
+ * event with the `id` of the image is dispatched on the layer.
+ *
  * This function also works in a web worker. In worker mode, the main thread needs
  * to listen to messages from the worker and respond with another message to make
- * sure that sprite image loading works:
+ * sure that sprite image loading works. The message has the `src`, `headers` and
+ * `credentials` of the request, as transformed by `options.transformRequest`:
  *
  * ```js
  *  worker.addEventListener('message', event => {
  *   if (event.data.action === 'loadImage') {
- *     const image = new Image();
- *     image.crossOrigin = 'anonymous';
- *     image.addEventListener('load', function() {
- *       createImageBitmap(image, 0, 0, image.width, image.height).then(imageBitmap => {
+ *     fetch(event.data.src, {
+ *       headers: event.data.headers,
+ *       credentials: event.data.credentials
+ *     })
+ *       .then(response => response.blob())
+ *       .then(blob => createImageBitmap(blob))
+ *       .then(imageBitmap => {
  *         worker.postMessage({
  *           action: 'imageLoaded',
  *           image: imageBitmap,
  *           src: event.data.src
  *         }, [imageBitmap]);
  *       });
- *     });
- *     image.src = event.data.src;
  *   }
  * });
  * ```
@@ -226,19 +637,35 @@ function fromTemplate(text, properties) {
  * Resolutions for mapping resolution to zoom level.
  * @param {Object} [spriteData=undefined] Sprite data from the url specified in
  * the Mapbox Style object's `sprite` property. Only required if a `sprite`
- * property is specified in the Mapbox Style object.
- * @param {Object} [spriteImageUrl=undefined] Sprite image url for the sprite
- * specified in the Mapbox Style object's `sprite` property. Only required if a
- * `sprite` property is specified in the Mapbox Style object.
+ * property is specified in the Mapbox Style object. For sprite arrays, the
+ * merged icons of all sheets, with the id of their sheet as `sprite`.
+ * @param {string|Object<string, string>} [spriteImageUrl=undefined] Sprite
+ * image url for the sprite specified in the Mapbox Style object's `sprite`
+ * property, or the image urls by sheet id for sprite arrays. Only required if
+ * a `sprite` property is specified in the Mapbox Style object.
  * @param {function(Array<string>):Array<string>} [getFonts=undefined] Function that
  * receives a font stack as arguments, and returns a (modified) font stack that
  * is available. Font names are the names used in the Mapbox Style object. If
  * not provided, the font stack will be used as-is. This function can also be
  * used for loading web fonts.
+ * @param {Object} [options={}] Options.
+ * @param {boolean} [options.extrusion=false] Render `fill-extrusion` layers in
+ * 2.5D, with walls and roofs from `fill-extrusion-height` and
+ * `fill-extrusion-base`, shaded according to the style's `light`. When `false`,
+ * `fill-extrusion` layers are rendered like `fill` layers.
+ * @param {ProjectionLike} [options.projection] Projection of the features, for
+ * the ground resolution that extrusion heights are scaled with. Defaults to the
+ * projection of the layer's source, or `EPSG:3857` for sources without one.
+ * @param {TransformRequest} [options.transformRequest] Transforms the request
+ * for the sprite image, see the `transformRequest` option of `apply()`.
+ * @param {Object<string, (HTMLImageElement|ImageBitmap)>} [options.spriteImages]
+ * Images of the sprite sheets by sheet id, `default` for a single sprite, which
+ * are shared with other layers. The style function does not load the sprite
+ * images then, and the layer needs to be re-rendered when images are added.
  * @return {StyleFunction} Style function for use in
  * `ol.layer.Vector` or `ol.layer.VectorTile`.
  */
-export default function (olLayer, glStyle, source, resolutions = defaultResolutions, spriteData, spriteImageUrl, getFonts) {
+export default function (olLayer, glStyle, source, resolutions = defaultResolutions, spriteData, spriteImageUrl, getFonts, options = {}) {
     if (typeof glStyle == 'string') {
         glStyle = JSON.parse(glStyle);
     }
@@ -246,32 +673,72 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
         throw new Error('glStyle version 8 required.');
     }
 
-    let spriteImage, spriteImgSize;
-    if (spriteImageUrl) {
-        if (typeof Image !== 'undefined') {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = function () {
-                spriteImage = img;
-                spriteImgSize = [img.width, img.height];
-                olLayer.changed();
-                img.onload = null;
-            };
-            img.src = spriteImageUrl;
-        } else if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) { //eslint-disable-line
-            const worker = /** @type {*} */ (self);
-            // Main thread needs to handle 'loadImage' and dispatch 'imageLoaded'
-            worker.postMessage({
-                action: 'loadImage',
-                src: spriteImageUrl
-            });
-            worker.addEventListener('message', function handler(event) {
-                if (event.data.action === 'imageLoaded' && event.data.src === spriteImageUrl) {
-                    spriteImage = event.data.image;
-                    spriteImgSize = [spriteImage.width, spriteImage.height];
-                }
-            });
+    // Sprite images by sheet id, `default` for a single sprite
+    const spriteImages = options.spriteImages || {};
+    const spriteImageUrls = options.spriteImages ? undefined :
+        typeof spriteImageUrl == 'string' ? {'default': spriteImageUrl} : spriteImageUrl;
+    for (const id in spriteImageUrls) {
+        loadSpriteImage(spriteImageUrls[id], function (image) {
+            spriteImages[id] = image;
+            olLayer.changed();
+        }, options.transformRequest);
+    }
+    /**
+     * @param {Object} spriteImageData Sprite index entry of an image.
+     * @return {HTMLImageElement|HTMLCanvasElement|ImageBitmap|undefined} Loaded
+     * sprite image of the image.
+     */
+    function getSpriteImage(spriteImageData) {
+        return spriteImageData.image || spriteImages[spriteImageData.sprite || 'default'];
+    }
+
+    /**
+     * @return {Projection} Projection of the features of the layer.
+     */
+    function getFeatureProjection() {
+        const layerSource = olLayer.getSource();
+        return getProjection(options.projection ||
+            (layerSource && layerSource.getProjection()) || 'EPSG:3857');
+    }
+
+    // Ids of missing images, which are reported once
+    const missingImages = {};
+    /**
+     * Gets the sprite index entry of an image, from the sprite, or from the
+     * images that were added at runtime as `mapbox-images` of the layer. For
+     * missing images, a `styleimagemissing` event with the `id` of the image
+     * is dispatched on the layer. Images that are added by a listener are
+     * used right away.
+     * @param {string} icon Image id.
+     * @return {Object|undefined} Sprite index entry of the image.
+     */
+    function getImageData(icon) {
+        let spriteImageData = spriteData && spriteData[icon];
+        if (!spriteImageData) {
+            const images = olLayer.get('mapbox-images');
+            spriteImageData = images && images[icon];
+            if (!spriteImageData && !missingImages[icon]) {
+                missingImages[icon] = true;
+                const event = new BaseEvent('styleimagemissing');
+                /** @type {?} */ (event).id = icon;
+                olLayer.dispatchEvent(event);
+                spriteImageData = images && images[icon];
+            }
+            if (spriteImageData) {
+                delete missingImages[icon];
+            }
         }
+        return spriteImageData;
+    }
+
+    /**
+     * @param {string} icon Image id.
+     * @param {Object} spriteImageData Sprite index entry of the image.
+     * @return {string} Cache key of the image. Images that were added at
+     * runtime can be replaced with a different image of the same id.
+     */
+    function getImageKey(icon, spriteImageData) {
+        return spriteImageData.image ? icon + '@' + getUid(spriteImageData) : icon;
     }
 
 
@@ -306,10 +773,22 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                 index: i
             });
             mapboxLayers.push(layerId);
+            // Compiled functions and filters are only cleared for changed
+            // layers, so other layers of the OpenLayers layer keep theirs.
+            const definition = JSON.stringify(layer);
+            if (layerDefinitions[layerId] !== definition) {
+                layerDefinitions[layerId] = definition;
+                clearLayerCaches(layerId);
+            }
         }
-        // TODO revisit when diffing gets added
-        delete functionCache[layerId];
-        delete filterCache[layerId];
+    }
+    delete functionCache[lightId];
+
+    const extrusion = !!options.extrusion && allLayers.some(function (layer) {
+        return layer.type == 'fill-extrusion' && mapboxLayers.indexOf(layer.id) !== -1;
+    });
+    if (extrusion) {
+        olLayer.setRenderOrder(backToFront);
     }
 
     const textHalo = new Stroke();
@@ -331,9 +810,14 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
         }
         const type = types[feature.getGeometry().getType()];
         const f = {
+            id: feature.getId(),
             properties: properties,
             type: type
         };
+        // Set with `setFeatureState()`, by source layer and feature id
+        const featureStates = olLayer.get('mapbox-featurestate');
+        const sourceLayerStates = featureStates && featureStates[properties.layer || ''];
+        const featureState = (sourceLayerStates && sourceLayerStates[f.id]) || emptyObj;
         let stylesLength = -1;
         for (let i = 0, ii = layers.length; i < ii; ++i) {
             const layerData = layers[i];
@@ -342,8 +826,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
 
             const layout = layer.layout || emptyObj;
             const paint = layer.paint || emptyObj;
-            if (layout.visibility === 'none' || ('minzoom' in layer && zoom < layer.minzoom) ||
-                ('maxzoom' in layer && zoom >= layer.maxzoom)) {
+            if (!isVisibleAtZoom(layer, zoom)) {
                 continue;
             }
             const filter = layer.filter;
@@ -351,14 +834,16 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                 let color, opacity, fill, stroke, strokeColor, style;
                 const index = layerData.index;
                 if (type == 3 && (layer.type == 'fill' || layer.type == 'fill-extrusion')) {
-                    opacity = getValue(layer, 'paint', layer.type + '-opacity', zoom, f);
+                    opacity = getValue(layer, 'paint', layer.type + '-opacity', zoom, f, featureState);
                     if (layer.type + '-pattern' in paint) {
-                        const fillIcon = getValue(layer, 'paint', layer.type + '-pattern', zoom, f);
+                        const fillIcon = getValue(layer, 'paint', layer.type + '-pattern', zoom, f, featureState);
                         if (fillIcon) {
                             const icon = typeof fillIcon === 'string'
                                 ? fromTemplate(fillIcon, properties)
                                 : fillIcon.toString();
-                            if (spriteImage && spriteData && spriteData[icon]) {
+                            const spriteImageData = getImageData(icon);
+                            const spriteImage = spriteImageData && getSpriteImage(spriteImageData);
+                            if (spriteImage) {
                                 ++stylesLength;
                                 style = styles[stylesLength];
                                 if (!style || !style.getFill() || style.getStroke() || style.getText()) {
@@ -368,10 +853,9 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                 }
                                 fill = style.getFill();
                                 style.setZIndex(index);
-                                const icon_cache_key = icon + '.' + opacity;
+                                const icon_cache_key = getImageKey(icon, spriteImageData) + '.' + opacity;
                                 let pattern = patternCache[icon_cache_key];
                                 if (!pattern) {
-                                    const spriteImageData = spriteData[icon];
                                     const canvas = createCanvas(spriteImageData.width, spriteImageData.height);
                                     const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
                                     ctx.globalAlpha = opacity;
@@ -392,11 +876,25 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                 fill.setColor(pattern);
                             }
                         }
+                    } else if (extrusion && layer.type == 'fill-extrusion') {
+                        color = getValue(layer, 'paint', 'fill-extrusion-color', zoom, f, featureState);
+                        if (color && color.a !== 0 && opacity !== 0) {
+                            ++stylesLength;
+                            style = styles[stylesLength];
+                            if (!style || !style.getRenderer()) {
+                                style = styles[stylesLength] = new Style();
+                            }
+                            style.setRenderer(createExtrusionRenderer(
+                                getValue(layer, 'paint', 'fill-extrusion-height', zoom, f, featureState),
+                                getValue(layer, 'paint', 'fill-extrusion-base', zoom, f, featureState),
+                                color, opacity, getFeatureProjection(), getLight(glStyle, zoom)));
+                            style.setZIndex(index);
+                        }
                     } else {
-                        color = colorWithOpacity(getValue(layer, 'paint', layer.type + '-color', zoom, f), opacity);
+                        color = colorWithOpacity(getValue(layer, 'paint', layer.type + '-color', zoom, f, featureState), opacity);
                         if (color) {
                             if (layer.type + '-outline-color' in paint) {
-                                strokeColor = colorWithOpacity(getValue(layer, 'paint', layer.type + '-outline-color', zoom, f), opacity);
+                                strokeColor = colorWithOpacity(getValue(layer, 'paint', layer.type + '-outline-color', zoom, f, featureState), opacity);
                             }
                             if (!strokeColor) {
                                 strokeColor = color;
@@ -420,21 +918,22 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                 }
                 if (type != 1 && layer.type == 'line') {
                     color = !('line-pattern' in paint) && 'line-color' in paint ?
-                        colorWithOpacity(getValue(layer, 'paint', 'line-color', zoom, f), getValue(layer, 'paint', 'line-opacity', zoom, f)) :
+                        colorWithOpacity(getValue(layer, 'paint', 'line-color', zoom, f, featureState), getValue(layer, 'paint', 'line-opacity', zoom, f, featureState)) :
                         undefined;
 
                     //使线样式支持“line-pattern” added by lipeng 2020.9.2    
                     if ('line-pattern' in paint) {
-                        let lineIcon = getValue(layer, 'paint', 'line-pattern', zoom, f);
+                        let lineIcon = getValue(layer, 'paint', 'line-pattern', zoom, f, featureState);
                         if (lineIcon) {
                             var icon_1 = typeof lineIcon === 'string'
                                 ? fromTemplate(lineIcon, properties)
                                 : lineIcon.toString();
-                            if (spriteImage && spriteData && spriteData[icon_1]) {
-                                var icon_cache_key = icon_1 + '.' + opacity;
+                            const spriteImageData = getImageData(icon_1);
+                            const spriteImage = spriteImageData && getSpriteImage(spriteImageData);
+                            if (spriteImage) {
+                                var icon_cache_key = getImageKey(icon_1, spriteImageData) + '.' + opacity;
                                 var pattern = patternCache[icon_cache_key];
                                 if (!pattern) {
-                                    var spriteImageData = spriteData[icon_1];
                                     var canvas = createCanvas(spriteImageData.width, spriteImageData.height);
                                     var ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
                                     ctx.globalAlpha = opacity;
@@ -447,7 +946,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                         }
                     }
 
-                    const width = getValue(layer, 'paint', 'line-width', zoom, f);
+                    const width = getValue(layer, 'paint', 'line-width', zoom, f, featureState);
                     if (color && width > 0) {
                         ++stylesLength;
                         style = styles[stylesLength];
@@ -463,7 +962,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                         stroke.setColor(color);
                         stroke.setWidth(width);
                         stroke.setLineDash(paint['line-dasharray'] ?
-                            getValue(layer, 'paint', 'line-dasharray', zoom, f).map(function (x) {
+                            getValue(layer, 'paint', 'line-dasharray', zoom, f, featureState).map(function (x) {
                                 return x * width;
                             }) : null);
                         style.setZIndex(index);
@@ -481,37 +980,21 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                             ? fromTemplate(iconImage, properties)
                             : iconImage.toString();
                         let styleGeom = undefined;
-                        if (spriteImage && spriteData && spriteData[icon]) {
+                        const spriteImageData = getImageData(icon);
+                        const spriteImage = spriteImageData && getSpriteImage(spriteImageData);
+                        if (spriteImage) {
                             const iconRotationAlignment = getValue(layer, 'layout', 'icon-rotation-alignment', zoom, f);
                             if (type == 2) {
                                 const geom = feature.getGeometry();
                                 // ol package and ol-debug.js only
                                 if (geom.getFlatMidpoint || geom.getFlatMidpoints) {
-                                    let extent = geom.getExtent();
-
-                                    //根据空间参考获取size added by lipeng 2020.9.3
-                                    switch (defaultSRS) {
-                                        case "EPSG:3857":
-                                        case "EPSG:900913":
-                                            size = Math.sqrt(Math.max(Math.pow((extent[2] - extent[0]) / resolution, 2), Math.pow((extent[3] - extent[1]) / resolution, 2)));
-                                            break;
-                                        case "EPSG:4490":
-                                            let p1 = [extent[0], extent[1]],
-                                                p2 = [extent[2], extent[3]],
-                                                fromLonLat = getTransform('EPSG:4490', 'EPSG:3857');
-
-                                            p1 = fromLonLat(p1);
-                                            p2 = fromLonLat(p2);
-
-                                            extent = [p1[0], p1[1], p2[0], p2[1]];
-                                            size = Math.sqrt(Math.max(Math.pow((extent[2] - extent[0]) / resolution, 2), Math.pow((extent[3] - extent[1]) / resolution, 2)));
-                                            break;
-                                    }
-
-                                    // const size = Math.sqrt(Math.max(
-                                    //     Math.pow((extent[2] - extent[0]) / resolution, 2),
-                                    //     Math.pow((extent[3] - extent[1]) / resolution, 2))
-                                    // );
+                                    // Extent and resolution are in units of the source's spatial
+                                    // reference, so the size in pixels works for any of them
+                                    const extent = geom.getExtent();
+                                    const size = Math.sqrt(Math.max(
+                                        Math.pow((extent[2] - extent[0]) / resolution, 2),
+                                        Math.pow((extent[3] - extent[1]) / resolution, 2))
+                                    );
 
                                     if (size > 150) {
                                         //FIXME Do not hard-code a size of 150
@@ -554,15 +1037,31 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                 }
                                 style.setGeometry(styleGeom);
                                 const iconSize = getValue(layer, 'layout', 'icon-size', zoom, f);
-                                const iconColor = paint['icon-color'] !== undefined ? getValue(layer, 'paint', 'icon-color', zoom, f) : null;
-                                let icon_cache_key = icon + '.' + iconSize;
+                                const sdf = !!spriteImageData.sdf;
+                                const iconColor = sdf || paint['icon-color'] !== undefined ? getValue(layer, 'paint', 'icon-color', zoom, f, featureState) : null;
+                                let icon_cache_key = getImageKey(icon, spriteImageData) + '.' + iconSize;
                                 if (iconColor !== null) {
                                     icon_cache_key += '.' + iconColor;
                                 }
+                                let iconHaloColor, iconHaloWidth, iconHaloBlur;
+                                if (sdf) {
+                                    iconHaloColor = getValue(layer, 'paint', 'icon-halo-color', zoom, f, featureState);
+                                    iconHaloWidth = getValue(layer, 'paint', 'icon-halo-width', zoom, f, featureState);
+                                    iconHaloBlur = getValue(layer, 'paint', 'icon-halo-blur', zoom, f, featureState);
+                                    icon_cache_key += '.' + iconHaloColor + '.' + iconHaloWidth + '.' + iconHaloBlur;
+                                }
                                 iconImg = iconImageCache[icon_cache_key];
                                 if (!iconImg) {
-                                    const spriteImageData = spriteData[icon];
-                                    if (iconColor !== null) {
+                                    if (sdf) {
+                                        iconImg = iconImageCache[icon_cache_key] = new Icon({
+                                            img: drawSdfIcon(spriteImage, spriteImageData, iconSize, iconColor,
+                                                iconHaloColor, iconHaloWidth, iconHaloBlur),
+                                            imgSize: [Math.max(1, Math.round(spriteImageData.width * iconSize)),
+                                                Math.max(1, Math.round(spriteImageData.height * iconSize))],
+                                            rotateWithView: iconRotationAlignment === 'map',
+                                            scale: 1 / spriteImageData.pixelRatio
+                                        });
+                                    } else if (iconColor !== null) {
                                         // cut out the sprite and color it
                                         const canvas = createCanvas(spriteImageData.width, spriteImageData.height);
                                         const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
@@ -610,7 +1109,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                     } else {
                                         iconImg = iconImageCache[icon_cache_key] = new Icon({
                                             img: spriteImage,
-                                            imgSize: spriteImgSize,
+                                            imgSize: [spriteImage.width, spriteImage.height],
                                             size: [spriteImageData.width, spriteImageData.height],
                                             offset: [spriteImageData.x, spriteImageData.y],
                                             rotateWithView: iconRotationAlignment === 'map',
@@ -619,7 +1118,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                     }
                                 }
                                 iconImg.setRotation(placementAngle + deg2rad(getValue(layer, 'layout', 'icon-rotate', zoom, f)));
-                                iconImg.setOpacity(getValue(layer, 'paint', 'icon-opacity', zoom, f));
+                                iconImg.setOpacity(getValue(layer, 'paint', 'icon-opacity', zoom, f, featureState));
                                 iconImg.setAnchor(anchor[getValue(layer, 'layout', 'icon-anchor', zoom, f)]);
                                 style.setImage(iconImg);
                                 text = style.getText();
@@ -628,7 +1127,9 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                                 hasImage = true;
                                 skipLabel = false;
                             } else {
-                                skipLabel = true;
+                                // Labels wait for the sprite image, but are
+                                // rendered without missing images
+                                skipLabel = !!spriteImageData;
                             }
                         }
                     }
@@ -640,10 +1141,10 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                     if (!style || !style.getImage() || style.getFill() || style.getStroke()) {
                         style = styles[stylesLength] = new Style();
                     }
-                    const circleRadius = getValue(layer, 'paint', 'circle-radius', zoom, f);
-                    const circleStrokeColor = colorWithOpacity(getValue(layer, 'paint', 'circle-stroke-color', zoom, f), getValue(layer, 'paint', 'circle-stroke-opacity', zoom, f));
-                    const circleColor = colorWithOpacity(getValue(layer, 'paint', 'circle-color', zoom, f), getValue(layer, 'paint', 'circle-opacity', zoom, f));
-                    const circleStrokeWidth = getValue(layer, 'paint', 'circle-stroke-width', zoom, f);
+                    const circleRadius = getValue(layer, 'paint', 'circle-radius', zoom, f, featureState);
+                    const circleStrokeColor = colorWithOpacity(getValue(layer, 'paint', 'circle-stroke-color', zoom, f, featureState), getValue(layer, 'paint', 'circle-stroke-opacity', zoom, f, featureState));
+                    const circleColor = colorWithOpacity(getValue(layer, 'paint', 'circle-color', zoom, f, featureState), getValue(layer, 'paint', 'circle-opacity', zoom, f, featureState));
+                    const circleStrokeWidth = getValue(layer, 'paint', 'circle-stroke-width', zoom, f, featureState);
                     const cache_key = circleRadius + '.' + circleStrokeColor + '.' +
                         circleColor + '.' + circleStrokeWidth;
                     iconImg = iconImageCache[cache_key];
@@ -671,7 +1172,7 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                 if ('text-field' in layout) {
                     const textField = getValue(layer, 'layout', 'text-field', zoom, f).toString();
                     label = fromTemplate(textField, properties).trim();
-                    opacity = getValue(layer, 'paint', 'text-opacity', zoom, f);
+                    opacity = getValue(layer, 'paint', 'text-opacity', zoom, f, featureState);
                 }
                 if (label && opacity && !skipLabel) {
                     if (!hasImage) {
@@ -708,9 +1209,9 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                     const textAnchor = getValue(layer, 'layout', 'text-anchor', zoom, f);
                     const placement = (hasImage || type == 1) ? 'point' : getValue(layer, 'layout', 'symbol-placement', zoom, f);
                     text.setPlacement(placement);
-                    let textHaloWidth = getValue(layer, 'paint', 'text-halo-width', zoom, f);
+                    let textHaloWidth = getValue(layer, 'paint', 'text-halo-width', zoom, f, featureState);
                     const textOffset = getValue(layer, 'layout', 'text-offset', zoom, f);
-                    const textTranslate = getValue(layer, 'paint', 'text-translate', zoom, f);
+                    const textTranslate = getValue(layer, 'paint', 'text-translate', zoom, f, featureState);
                     // Text offset has to take halo width and line height into account
                     let vOffset = 0;
                     let hOffset = 0;
@@ -742,9 +1243,9 @@ export default function (olLayer, glStyle, source, resolutions = defaultResoluti
                     text.setTextBaseline(textBaseline);
                     text.setOffsetX(textOffset[0] * textSize + hOffset + textTranslate[0]);
                     text.setOffsetY(textOffset[1] * textSize + vOffset + textTranslate[1]);
-                    textColor.setColor(colorWithOpacity(getValue(layer, 'paint', 'text-color', zoom, f), opacity));
+                    textColor.setColor(colorWithOpacity(getValue(layer, 'paint', 'text-color', zoom, f, featureState), opacity));
                     text.setFill(textColor);
-                    const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, f), opacity);
+                    const haloColor = colorWithOpacity(getValue(layer, 'paint', 'text-halo-color', zoom, f, featureState), opacity);
                     if (haloColor) {
                         textHalo.setColor(haloColor);
                         // spec here : https://docs.mapbox.com/mapbox-gl-js/style-spec/#paint-symbol-text-halo-width
@@ -1,6 +1,7 @@
 import { listen } from 'ol-zhyt/events';
 import EventType from 'ol-zhyt/events/EventType';
 import { labelCache } from 'ol-zhyt/render/canvas';
+import { get as getProjection } from 'ol-zhyt/proj';
 
 /**
  * Polyfill for Object.assign().  Assigns enumerable and own properties from
@@ -59,35 +60,298 @@ export var defaultSRS = "EPSG:3857";
 export var defaultResolutions = [];
 
 /**
- * 根据空间参考modified by lipeng 2020.9.1
- * @param {string} 空间参考，如："EPSG:4490"
- * @author lipeng added 2020.9.1
+ * @typedef {Object} TileGridOptions
+ * @property {Array<number>} extent Extent of the tile grid.
+ * @property {Array<number>} origin Origin of the tile grid, usually the top-left
+ * corner of the extent.
+ * @property {Array<number>} resolutions Resolutions of the zoom levels,
+ * starting with zoom level 0. Mapbox Style zoom levels are mapped to these
+ * resolutions.
+ * @property {number} tileSize Tile size in pixels.
+ * @property {string} [scheme='xyz'] Scheme of the tile urls of sources that do
+ * not set a `scheme`. With `tms`, rows are counted from the bottom of the grid.
  */
-export function initDefaultResolutions(srs) {
-    if (defaultSRS != "EPSG:3857" && defaultSRS === srs) {
-        return;
+
+/**
+ * Tile grids by spatial reference.
+ * @type {Object<string, TileGridOptions>}
+ */
+const tileGrids = {};
+
+/**
+ * @param {number} maxResolution Resolution of zoom level 0.
+ * @return {Array<number>} Resolutions of zoom levels 0 to 24.
+ */
+function createResolutions(maxResolution) {
+    const resolutions = [];
+    for (let res = maxResolution; resolutions.length <= 24; res /= 2) {
+        resolutions.push(res);
     }
+    return resolutions;
+}
 
-    defaultSRS = srs;
+/**
+ * Registers the tile grid of a spatial reference.
+ * @param {string} srs Spatial reference, e.g. `'EPSG:4490'`.
+ * @param {TileGridOptions} options Tile grid options.
+ */
+export function setTileGridOptions(srs, options) {
+    tileGrids[srs] = options;
+}
+
+/**
+ * @param {string} srs Spatial reference.
+ * @return {boolean} A tile grid is registered for the spatial reference.
+ */
+export function hasTileGrid(srs) {
+    return srs in tileGrids;
+}
+
+/**
+ * @param {string} [srs='EPSG:3857'] Spatial reference.
+ * @return {TileGridOptions} Tile grid options of the spatial reference, or of
+ * `EPSG:3857` when no tile grid is registered for the spatial reference.
+ */
+export function getTileGridOptions(srs = 'EPSG:3857') {
+    return tileGrids[srs] || tileGrids['EPSG:3857'];
+}
+
+/**
+ * @param {string} [srs='EPSG:3857'] Spatial reference.
+ * @return {Array<number>} Resolutions for Mapbox Style zoom levels 0 to at
+ * least 24. Grids with less zoom levels are extended by halving the
+ * resolution of the last level.
+ */
+export function getResolutions(srs) {
+    return extendResolutions(getTileGridOptions(srs).resolutions);
+}
+
+/**
+ * @param {Array<number>} resolutions Resolutions of a tile grid.
+ * @return {Array<number>} Resolutions for Mapbox Style zoom levels 0 to at
+ * least 24, extended by halving the resolution of the last level.
+ */
+export function extendResolutions(resolutions) {
+    resolutions = resolutions.slice();
+    while (resolutions.length <= 24) {
+        resolutions.push(resolutions[resolutions.length - 1] / 2);
+    }
+    return resolutions;
+}
+
+const mercatorExtent = [-20037508.342789244, -20037508.342789244, 20037508.342789244, 20037508.342789244];
+const mercatorGrid = {
+    extent: mercatorExtent,
+    origin: [mercatorExtent[0], mercatorExtent[3]],
+    resolutions: createResolutions(78271.51696402048),
+    tileSize: 512
+};
+setTileGridOptions('EPSG:3857', mercatorGrid);
+setTileGridOptions('EPSG:900913', mercatorGrid);
+// Rows of EPSG:4490 tiles are usually counted from the bottom
+setTileGridOptions('EPSG:4490', {
+    extent: [-180, -90, 180, 90],
+    origin: [-180, 90],
+    resolutions: createResolutions(0.703125),
+    tileSize: 256,
+    scheme: 'tms'
+});
+
+/**
+ * @typedef {Object} TileMatrixSetOptions
+ * @property {string} srs Spatial reference of the tile matrix set.
+ * @property {Array<Array<number>>} origins Top-left corners of the tile
+ * matrices.
+ * @property {Array<number>} resolutions Resolutions of the tile matrices.
+ * @property {Array<Array<number>>} sizes Number of tile columns and rows of
+ * the tile matrices.
+ * @property {Array<Array<number>>} tileSizes Tile sizes of the tile matrices.
+ * @property {Array<Array<VariableMatrixWidth>|undefined>} variableMatrixWidths
+ * Rows of coalesced tiles of the tile matrices.
+ */
+
+/**
+ * @typedef {Object} VariableMatrixWidth
+ * @property {number} coalesce Number of tiles that are coalesced into one.
+ * @property {number} minTileRow First row with coalesced tiles, from the top.
+ * @property {number} maxTileRow Last row with coalesced tiles, from the top.
+ */
+
+const crsRegEx = /EPSG(?:\/[^/]*\/|:[^:]*:|:)(\d+)$/i;
+const crs84RegEx = /CRS:?84$/i;
+
+/**
+ * @param {string} crs Name of a coordinate reference system, e.g. an OGC URI
+ * or URN.
+ * @return {string} Spatial reference, e.g. `EPSG:4326` for CRS84. Names that
+ * are not EPSG or CRS84 identifiers are returned unchanged.
+ */
+export function getSrsForCrs(crs) {
+    const match = crsRegEx.exec(crs);
+    return crs84RegEx.test(crs) ? 'EPSG:4326' : match ? 'EPSG:' + match[1] : crs;
+}
+
+/**
+ * Meters per degree on the WGS84 ellipsoid, as used by OGC scale denominators.
+ */
+const metersPerDegree = 2 * Math.PI * 6378137 / 360;
+
+/**
+ * @param {string} id Identifier of the tile matrix set.
+ * @param {string} crs Coordinate reference system.
+ * @param {Array<number>} origin Top-left corner of the tile matrices.
+ * @param {number} cellSize Resolution of the first tile matrix.
+ * @param {number} matrixWidth Number of tile columns of the first tile matrix.
+ * @return {Object} OGC TileMatrixSet with tile matrices 0 to 24, with twice
+ * the columns and rows of the previous matrix.
+ */
+function createQuadTileMatrixSet(id, crs, origin, cellSize, matrixWidth) {
+    const tileMatrices = [];
+    for (let z = 0; z <= 24; ++z) {
+        tileMatrices.push({
+            id: String(z),
+            cellSize: cellSize / Math.pow(2, z),
+            pointOfOrigin: origin,
+            tileWidth: 256,
+            tileHeight: 256,
+            matrixWidth: matrixWidth * Math.pow(2, z),
+            matrixHeight: Math.pow(2, z)
+        });
+    }
+    return {id: id, crs: crs, tileMatrices: tileMatrices};
+}
+
+/**
+ * Tile matrix sets of the OGC Two Dimensional Tile Matrix Set standard, by
+ * identifier.
+ * @type {Object<string, Object>}
+ */
+const wellKnownTileMatrixSets = {
+    WebMercatorQuad: createQuadTileMatrixSet('WebMercatorQuad', 'http://www.opengis.net/def/crs/EPSG/0/3857',
+        [-20037508.342789244, 20037508.342789244], 156543.03392804097, 1),
+    WorldCRS84Quad: createQuadTileMatrixSet('WorldCRS84Quad', 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+        [-180, 90], 0.703125, 2)
+};
+
+/**
+ * @param {string} id Identifier of a tile matrix set, e.g. `'WebMercatorQuad'`.
+ * @return {Object|undefined} OGC TileMatrixSet, or `undefined` for unknown
+ * identifiers.
+ */
+export function getWellKnownTileMatrixSet(id) {
+    return wellKnownTileMatrixSets[id];
+}
+
+/**
+ * Reads the tile grid of an OGC TileMatrixSet JSON document. Both version 2.0
+ * (`crs`, `tileMatrices`, `pointOfOrigin`) and version 1.0 (`supportedCRS`,
+ * `tileMatrix`, `topLeftCorner`) documents are supported. Coordinates are read
+ * in the axis order of `orderedAxes`, or of the coordinate reference system.
+ * Tile matrices with a `bottomLeft` corner of origin count their rows from the
+ * bottom, so tile urls for these need a `scheme` of `tms`. Coalesced tiles of
+ * `variableMatrixWidths` are addressed by their first column.
+ * @param {Object} tileMatrixSet OGC TileMatrixSet.
+ * @return {TileMatrixSetOptions} Tile grid options, with the tile matrices
+ * ordered from the largest to the smallest resolution.
+ * @throws {Error} When the coordinate reference system is not a known
+ * projection.
+ */
+export function getTileMatrixSetOptions(tileMatrixSet) {
+    let crs = tileMatrixSet.crs || tileMatrixSet.supportedCRS;
+    if (crs && typeof crs === 'object') {
+        crs = crs.uri;
+    }
+    const crs84 = crs84RegEx.test(crs);
+    const srs = getSrsForCrs(crs);
+    const projection = getProjection(srs);
+    if (!projection) {
+        throw new Error(`Unknown projection "${srs}"`);
+    }
+    const orderedAxes = tileMatrixSet.orderedAxes;
+    const northFirst = orderedAxes ? /^(lat|n)/i.test(orderedAxes[0]) :
+        !crs84 && projection.getAxisOrientation().substr(0, 2) == 'ne';
+    const metersPerUnit = projection.getUnits() == 'degrees' ? metersPerDegree : projection.getMetersPerUnit();
 
-    defaultResolutions = [];
-
-    let maxRes = 78271.51696402048;
-    switch (srs) {
-        case "EPSG:3857":
-        case "EPSG:900913":
-            maxRes = 78271.51696402048;
-            break;
-        case "EPSG:4490":
-            maxRes = 0.703125;
-            break;
-        //其他空间参考，用到是再增加
+    const options = {srs: srs, origins: [], resolutions: [], sizes: [], tileSizes: [], variableMatrixWidths: []};
+    const tileMatrices = (tileMatrixSet.tileMatrices || tileMatrixSet.tileMatrix).map(function (tileMatrix) {
+        return {
+            tileMatrix: tileMatrix,
+            resolution: 'cellSize' in tileMatrix ? tileMatrix.cellSize :
+                tileMatrix.scaleDenominator * 0.28e-3 / metersPerUnit
+        };
+    }).sort(function (a, b) {
+        return b.resolution - a.resolution;
+    });
+    for (let i = 0, ii = tileMatrices.length; i < ii; ++i) {
+        const tileMatrix = tileMatrices[i].tileMatrix;
+        const resolution = tileMatrices[i].resolution;
+        const corner = tileMatrix.pointOfOrigin || tileMatrix.topLeftCorner;
+        const origin = northFirst ? [corner[1], corner[0]] : [corner[0], corner[1]];
+        if (tileMatrix.cornerOfOrigin == 'bottomLeft') {
+            origin[1] += tileMatrix.matrixHeight * tileMatrix.tileHeight * resolution;
+        }
+        options.origins.push(origin);
+        options.resolutions.push(resolution);
+        options.sizes.push([tileMatrix.matrixWidth, tileMatrix.matrixHeight]);
+        options.tileSizes.push([tileMatrix.tileWidth, tileMatrix.tileHeight]);
+        options.variableMatrixWidths.push(tileMatrix.variableMatrixWidths &&
+            tileMatrix.variableMatrixWidths.map(function (variableMatrixWidth) {
+                if (tileMatrix.cornerOfOrigin != 'bottomLeft') {
+                    return variableMatrixWidth;
+                }
+                const lastRow = tileMatrix.matrixHeight - 1;
+                return {
+                    coalesce: variableMatrixWidth.coalesce,
+                    minTileRow: lastRow - variableMatrixWidth.maxTileRow,
+                    maxTileRow: lastRow - variableMatrixWidth.minTileRow
+                };
+            }));
     }
-    for (var res = maxRes; defaultResolutions.length <= 24; res /= 2) {
-        defaultResolutions.push(res);
+    return options;
+}
+
+/**
+ * @param {TileMatrixSetOptions} options Tile grid options of a tile matrix set.
+ * @return {boolean} The tile matrix set has coalesced tiles.
+ */
+export function hasCoalescedTiles(options) {
+    return options.variableMatrixWidths.some(function (variableMatrixWidths) {
+        return !!variableMatrixWidths;
+    });
+}
+
+/**
+ * @param {TileMatrixSetOptions} options Tile grid options of a tile matrix set.
+ * @param {Array<number>} tileCoord Tile coordinate, with the row from the top.
+ * @return {number} Number of tiles that the tile is coalesced with, `1` for
+ * tiles that are not coalesced.
+ */
+export function getCoalesce(options, tileCoord) {
+    const variableMatrixWidths = options.variableMatrixWidths[tileCoord[0]];
+    if (variableMatrixWidths) {
+        const y = tileCoord[2];
+        for (let i = 0, ii = variableMatrixWidths.length; i < ii; ++i) {
+            const variableMatrixWidth = variableMatrixWidths[i];
+            if (y >= variableMatrixWidth.minTileRow && y <= variableMatrixWidth.maxTileRow) {
+                return variableMatrixWidth.coalesce;
+            }
+        }
     }
+    return 1;
+}
+
+/**
+ * 根据空间参考modified by lipeng 2020.9.1
+ * @param {string} srs 空间参考，如："EPSG:4490"
+ * @author lipeng added 2020.9.1
+ */
+export function initDefaultResolutions(srs) {
+    defaultResolutions = getResolutions(srs);
+    defaultSRS = srs;
 }
 
+initDefaultResolutions(defaultSRS);
+
 /**
  * @param {number} width Width of the canvas.
  * @param {number} height Height of the canvas.
@@ -104,6 +368,93 @@ export function createCanvas(width, height) {
     }
 }
 
+/**
+ * @typedef {Object} RequestParameters
+ * @property {string} url Url of the request.
+ * @property {Object<string, string>} [headers] Headers of the request.
+ * @property {string} [credentials] Credentials mode of the request, i.e.
+ * `same-origin`, `include` or `omit`.
+ */
+
+/**
+ * @typedef {function(string, string): (RequestParameters|undefined)} TransformRequest
+ * Called with the url and the resource type of a request, which is one of
+ * `Style`, `Source`, `SpriteJSON`, `SpriteImage`, `Tile` and `Image`. Returns the
+ * parameters of the request, or `undefined` to leave it unchanged.
+ */
+
+/**
+ * @param {string} url Url.
+ * @param {string} resourceType Resource type.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {RequestParameters} Parameters of the request.
+ */
+export function getRequestParameters(url, resourceType, transformRequest) {
+    const request = assign({url: url}, transformRequest && transformRequest(url, resourceType));
+    if (!request.credentials) {
+        request.credentials = 'same-origin';
+    }
+    return request;
+}
+
+/**
+ * @param {string} url Url.
+ * @param {string} resourceType Resource type.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ * @return {Promise<Response>} Response of the transformed request.
+ */
+export function fetchResource(url, resourceType, transformRequest) {
+    const request = getRequestParameters(url, resourceType, transformRequest);
+    return fetch(request.url, {
+        headers: request.headers,
+        credentials: /** @type {?} */ (request.credentials)
+    });
+}
+
+/**
+ * Loads an image with the transformed request. Images with `headers` are
+ * fetched, and set as object url. Otherwise the transformed url is set as
+ * `src`, with `use-credentials` for the `include` credentials mode.
+ * @param {HTMLImageElement} image Image.
+ * @param {string} url Url.
+ * @param {string} resourceType Resource type.
+ * @param {TransformRequest} [transformRequest] Transform request function.
+ */
+export function setImageSrc(image, url, resourceType, transformRequest) {
+    const request = getRequestParameters(url, resourceType, transformRequest);
+    if (!request.headers) {
+        if (request.credentials == 'include') {
+            image.crossOrigin = 'use-credentials';
+        }
+        image.src = request.url;
+        return;
+    }
+    fetch(request.url, {
+        headers: request.headers,
+        credentials: /** @type {?} */ (request.credentials)
+    })
+        .then(function (response) {
+            if (!response.ok) {
+                throw new Error(`Error loading ${request.url}: ${response.statusText}`);
+            }
+            return response.blob();
+        })
+        .then(function (blob) {
+            const objectUrl = URL.createObjectURL(blob);
+            const revoke = function () {
+                URL.revokeObjectURL(objectUrl);
+                image.removeEventListener('load', revoke);
+                image.removeEventListener('error', revoke);
+            };
+            image.addEventListener('load', revoke);
+            image.addEventListener('error', revoke);
+            image.src = objectUrl;
+        })
+        .catch(function () {
+            image.dispatchEvent(new Event('error'));
+        });
+}
+
 export function getZoomForResolution(resolution, resolutions) {
     let i = 0;
     const ii = resolutions.length;
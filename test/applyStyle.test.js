@@ -6,6 +6,7 @@ import VectorTileLayer from 'ol-zhyt/layer/VectorTile';
 import ImageLayer from 'ol-zhyt/layer/Image';
 import VectorTileSource from 'ol-zhyt/source/VectorTile';
 import { createXYZ } from 'ol-zhyt/tilegrid';
+import Map from 'ol-zhyt/Map';
 
 import glStyle from './fixtures/osm-liberty/style.json';
 import styleInvalidVersion from './fixtures/style-invalid-version.json';
@@ -13,7 +14,7 @@ import styleEmptySprite from './fixtures/style-empty-sprite.json';
 import styleMissingSprite from './fixtures/style-missing-sprite.json';
 import styleInvalidSpriteURL from './fixtures/style-invalid-sprite-url.json';
 
-import { applyStyle } from '../src/index.js';
+import { applyStyle, getStyleImage, getStyleImages } from '../src/index.js';
 
 
 describe('applyStyle style argument validation', function () {
@@ -137,6 +138,68 @@ describe('applyStyle sprite retrieval', function () {
         });
     });
 
+    it('should retrieve all sheets of sprite arrays', function (done) {
+        const style = Object.assign({}, glStyle);
+        const url = window.location.protocol + '//' + window.location.host + '/fixtures/osm-liberty/osm-liberty';
+        style.sprite = [{id: 'default', url: url}, {id: 'poi', url: url + '?poi'}];
+
+        global.devicePixelRatio = 1;
+
+        const map = new Map({});
+        applyStyle(layer, style, source, undefined, undefined, map).then(function () {
+            should(spy.callCount).be.exactly(2);
+            should(spy.getCall(0).args[0]).endWith('/osm-liberty.json');
+            should(spy.getCall(1).args[0]).endWith('/osm-liberty.json?poi');
+            const spriteData = map._VectorTileInfo.spriteData;
+            should(spriteData.airfield_11.sprite).eql('default');
+            should(spriteData['poi:airfield_11'].sprite).eql('poi');
+            should(spriteData['poi:airfield_11'].x).eql(spriteData.airfield_11.x);
+            should(map._VectorTileInfo.spriteImageUrl).eql({
+                'default': url + '.png',
+                'poi': url + '.png?poi'
+            });
+            done();
+        }).catch(function (error) {
+            done(error);
+        });
+    });
+
+    it('should expose the sprite through getStyleImages and getStyleImage', function (done) {
+        const style = Object.assign({}, glStyle);
+        const url = window.location.protocol + '//' + window.location.host + '/fixtures/osm-liberty/osm-liberty';
+        style.sprite = [{id: 'default', url: url}, {id: 'poi', url: url + '?poi'}];
+
+        global.devicePixelRatio = 1;
+
+        const map = new Map({});
+        const loaded = [];
+        map.on('sprite-loaded', function (e) {
+            loaded.push(e.id);
+            if (loaded.length < 2) {
+                return;
+            }
+            should(loaded.sort()).eql(['default', 'poi']);
+            const styleImage = getStyleImage(map, 'poi:airfield_11');
+            should(styleImage.image.width).eql(styleImage.width);
+            should(styleImage.image.height).eql(styleImage.height);
+            done();
+        });
+        applyStyle(layer, style, source, undefined, undefined, map).then(function () {
+            const styleImages = getStyleImages(map);
+            should(styleImages.airfield_11).eql({
+                width: styleImages.airfield_11.width,
+                height: styleImages.airfield_11.height,
+                pixelRatio: 1,
+                sdf: false,
+                sprite: 'default'
+            });
+            should(styleImages['poi:airfield_11'].sprite).eql('poi');
+            should(getStyleImage(map, 'unknown')).be.undefined();
+        }).catch(function (error) {
+            done(error);
+        });
+    });
+
     it('should reject on empty sprite JSON', function (done) {
         const style = Object.assign({}, glStyle);
         style.sprite = window.location.protocol + '//' + window.location.host + '/fixtures/empty';
@@ -1,16 +1,29 @@
 import should from 'should';
-import olms, { applyBackground, apply, getLayer, getLayers, getSource } from '../src';
+import olms, { applyBackground, apply, getLayer, getLayers, getSource, setStyle, setPaintProperty, setLayoutProperty, setFilter,
+    addStyleLayer, removeStyleLayer, moveStyleLayer, addStyleSource, removeStyleSource,
+    setFeatureState, getFeatureState, removeFeatureState, queryRenderedFeatures,
+    querySourceFeatures, validateStyle, registerTileGrid, updateImageSource, getClusterExpansionZoom,
+    getClusterLeaves, setGeoJSONData, addImage, removeImage, hasImage,
+    getStyleImages, getStyleImage, renderLegend, setFontProviders, googleFontProvider,
+    createFontManifestProvider } from '../src';
 import { _getFonts as getFonts } from '../src/index';
+import { _getValue as getValue } from '../src/stylefunction';
 import Map from 'ol-zhyt/Map';
+import ImageLayer from 'ol-zhyt/layer/Image';
+import RasterSource from 'ol-zhyt/source/Raster';
 import TileSource from 'ol-zhyt/source/Tile';
 import VectorSource from 'ol-zhyt/source/Vector';
+import VectorTile from 'ol-zhyt/VectorTile';
+import MVT from 'ol-zhyt/format/MVT';
 import VectorTileLayer from 'ol-zhyt/layer/VectorTile';
 import VectorTileSource from 'ol-zhyt/source/VectorTile';
-import { toLonLat } from 'ol-zhyt/proj';
+import { addProjection, fromLonLat, toLonLat } from 'ol-zhyt/proj';
+import { boundingExtent } from 'ol-zhyt/extent';
+import Projection from 'ol-zhyt/proj/Projection';
 
 import brightV9 from 'mapbox-gl-styles/styles/bright-v9.json';
 import backgroundStyle from './fixtures/background.json';
-import { defaultResolutions } from '../src/util';
+import { assign, defaultResolutions } from '../src/util';
 delete brightV9.sprite;
 
 describe('ol-mapbox-style', function () {
@@ -35,6 +48,56 @@ describe('ol-mapbox-style', function () {
                 });
         });
 
+        it('transforms the requests for the style, the sources, the sprite and the tiles', function (done) {
+            const requests = [];
+            const fetched = [];
+            const fetch = window.fetch;
+            window.fetch = function (url, init) {
+                fetched.push({url: url, init: init});
+                // Tiles are not loaded from the network
+                return /^https:/.test(url) ? Promise.reject(new Error(`Offline: ${url}`)) : fetch.apply(this, arguments);
+            };
+            function restore(error) {
+                window.fetch = fetch;
+                done(error);
+            }
+            olms(target, './fixtures/hot-osm/missing.json', {
+                transformRequest: function (url, resourceType) {
+                    requests.push(resourceType + ' ' + url.replace(/^.*\//, ''));
+                    return {
+                        url: url.replace('missing.json', 'hot-osm.json'),
+                        headers: {'X-Tenant': 'test'},
+                        credentials: 'include'
+                    };
+                }
+            })
+                .then(function (map) {
+                    should(requests[0]).eql('Style missing.json');
+                    should(requests).containEql('Source osm.json');
+                    should(requests.some(function (request) {
+                        return /^SpriteJSON osm_tegola_spritesheet(@2x)?\.json$/.test(request);
+                    })).be.true();
+                    const source = map.getLayers().item(0).getSource();
+                    should(source).be.instanceof(VectorTileSource);
+
+                    const url = source.getTileUrlFunction()([0, 0, 0], 1, source.getProjection());
+                    new VectorTile([0, 0, 0], 0, url, new MVT(), source.getTileLoadFunction()).load();
+                    should(requests).containEql('Tile 0.pbf');
+                    should(requests.some(function (request) {
+                        return /^SpriteImage osm_tegola_spritesheet(@2x)?\.png$/.test(request);
+                    })).be.true();
+                    should(fetched.map(function (request) {
+                        return request.url.replace(/^.*\//, '');
+                    })).containEql('0.pbf');
+                    fetched.forEach(function (request) {
+                        should(request.init.headers).eql({'X-Tenant': 'test'});
+                        should(request.init.credentials).eql('include');
+                    });
+                    restore();
+                })
+                .catch(restore);
+        });
+
         it('called with a json, rejects when a TileJSON url is invalid', function (done) {
             fetch('./fixtures/hot-osm/hot-osm.json').then(function (response) {
                 response.json().then(function (json) {
@@ -261,6 +324,26 @@ describe('ol-mapbox-style', function () {
                     });
             });
 
+            it('creates tile urls from the templates of raster sources', function (done) {
+                context.sources.states.tiles = [
+                    'https://example.com/{z}/{x}/{y}{ratio}.png?q={quadkey}&bbox={bbox-epsg-3857}'
+                ];
+                context.sources.states.scheme = 'tms';
+                context.sources.states.zoomOffset = 1;
+                olms(target, context)
+                    .then(function (map) {
+                        const tileUrlFunction = map.getLayers().item(0).getSource().getTileUrlFunction();
+                        should(tileUrlFunction([1, 0, 0], 1)).eql('https://example.com/2/0/1.png?q=0&bbox=' +
+                            '-20037508.342789244,0,0,20037508.342789244');
+                        should(tileUrlFunction([1, 1, 1], 2)).eql('https://example.com/2/1/0@2x.png?q=3&bbox=' +
+                            '0,-20037508.342789244,20037508.342789244,0');
+                        done();
+                    })
+                    .catch(function (err) {
+                        done(err);
+                    });
+            });
+
             it('limits layer minzoom to source minzoom', function (done) {
                 context.sources.states.minzoom = 10;
                 olms(target, context)
@@ -489,6 +572,1470 @@ describe('ol-mapbox-style', function () {
         });
     });
 
+    describe('setStyle', function () {
+        let map;
+        function getStyle() {
+            const featureCollection = function (name) {
+                return {
+                    type: 'FeatureCollection',
+                    features: [{
+                        type: 'Feature',
+                        properties: { name: name },
+                        geometry: { type: 'Point', coordinates: [0, 0] }
+                    }]
+                };
+            };
+            return {
+                version: 8,
+                sources: {
+                    'a': { type: 'geojson', data: featureCollection('a') },
+                    'b': { type: 'geojson', data: featureCollection('b') }
+                },
+                layers: [{
+                    id: 'a',
+                    type: 'circle',
+                    source: 'a',
+                    paint: { 'circle-color': '#f00' }
+                }, {
+                    id: 'b',
+                    type: 'circle',
+                    source: 'b'
+                }]
+            };
+        }
+
+        beforeEach(function (done) {
+            olms(document.createElement('div'), getStyle()).then(function (result) {
+                map = result;
+                done();
+            }).catch(done);
+        });
+
+        it('only restyles layers with changed style layers', function (done) {
+            const layers = map.getLayers().getArray().slice();
+            const styleA = layers[0].getStyle();
+            const styleB = layers[1].getStyle();
+            const glStyle = getStyle();
+            glStyle.layers[0].paint['circle-color'] = '#0f0';
+            setStyle(map, glStyle).then(function () {
+                should(map.getLayers().getArray()).eql(layers);
+                should(layers[0].getStyle()).not.equal(styleA);
+                should(layers[1].getStyle()).equal(styleB);
+                should(map.get('mapbox-style')).equal(glStyle);
+                done();
+            }).catch(done);
+        });
+
+        it('replaces the source of changed geojson data', function (done) {
+            const layer = map.getLayers().item(1);
+            const source = layer.getSource();
+            const style = layer.getStyle();
+            const glStyle = getStyle();
+            glStyle.sources.b.data.features[0].properties.name = 'c';
+            setStyle(map, glStyle).then(function () {
+                should(map.getLayers().item(1)).equal(layer);
+                should(layer.getSource()).not.equal(source);
+                should(layer.getSource().getFeatures()[0].get('name')).eql('c');
+                should(layer.getStyle()).equal(style);
+                done();
+            }).catch(done);
+        });
+
+        it('adds, removes and orders layers', function (done) {
+            const layerA = map.getLayers().item(0);
+            const glStyle = getStyle();
+            glStyle.layers.unshift({
+                id: 'b0',
+                type: 'circle',
+                source: 'b'
+            });
+            glStyle.layers.pop();
+            setStyle(map, glStyle).then(function () {
+                const layers = map.getLayers();
+                should(layers.getLength()).eql(2);
+                should(layers.item(0).get('mapbox-layers')).eql(['b0']);
+                should(layers.item(1)).equal(layerA);
+                should(layers.item(1).get('mapbox-layers')).eql(['a']);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('setPaintProperty, setLayoutProperty and setFilter', function () {
+        let map, layer, feature;
+        beforeEach(function (done) {
+            olms(document.createElement('div'), {
+                version: 8,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                properties: { name: 'a' },
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'points',
+                    type: 'circle',
+                    source: 'points',
+                    paint: {
+                        'circle-color': '#f00',
+                        'circle-radius': 5
+                    }
+                }]
+            }).then(function (result) {
+                map = result;
+                layer = map.getLayers().item(0);
+                feature = layer.getSource().getFeatures()[0];
+                done();
+            }).catch(done);
+        });
+
+        function getColor() {
+            const styles = layer.getStyle()(feature, 1);
+            return styles ? styles[0].getImage().getFill().getColor() : undefined;
+        }
+
+        it('sets a paint property and re-renders the layer', function () {
+            const revision = layer.getRevision();
+            setPaintProperty(map, 'points', 'circle-color', '#00f');
+            should(getColor()).eql('rgba(0,0,255,1)');
+            should(layer.getRevision()).be.above(revision);
+            should(map.get('mapbox-style').layers[0].paint['circle-color']).eql('#00f');
+        });
+
+        it('resets a paint property to the default', function () {
+            setPaintProperty(map, 'points', 'circle-color', undefined);
+            should(getColor()).eql('rgba(0,0,0,1)');
+        });
+
+        it('throws for invalid values and unknown layers', function () {
+            should(function () {
+                setPaintProperty(map, 'points', 'circle-color', 'no color');
+            }).throw(/points\.paint\.circle-color/);
+            should(function () {
+                setPaintProperty(map, 'missing', 'circle-color', '#00f');
+            }).throw('Layer "missing" does not exist');
+            should(getColor()).eql('rgba(255,0,0,1)');
+        });
+
+        it('sets a layout property', function () {
+            setLayoutProperty(map, 'points', 'visibility', 'none');
+            should(getColor()).be.undefined();
+            setLayoutProperty(map, 'points', 'visibility', 'visible');
+            should(getColor()).eql('rgba(255,0,0,1)');
+        });
+
+        it('sets and removes a filter', function () {
+            setFilter(map, 'points', ['==', 'name', 'b']);
+            should(getColor()).be.undefined();
+            setFilter(map, 'points', undefined);
+            should(getColor()).eql('rgba(255,0,0,1)');
+        });
+    });
+
+    describe('addStyleLayer, removeStyleLayer, moveStyleLayer, addStyleSource and removeStyleSource', function () {
+        let map;
+        const data = {
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'Point', coordinates: [0, 0] }
+            }]
+        };
+        beforeEach(function (done) {
+            olms(document.createElement('div'), {
+                version: 8,
+                sources: {
+                    'a': { type: 'geojson', data: data }
+                },
+                layers: [{
+                    id: 'a1',
+                    type: 'circle',
+                    source: 'a'
+                }, {
+                    id: 'a2',
+                    type: 'circle',
+                    source: 'a'
+                }]
+            }).then(function (result) {
+                map = result;
+                done();
+            }).catch(done);
+        });
+
+        function getMapboxLayers() {
+            return map.getLayers().getArray().map(function (layer) {
+                return layer.get('mapbox-layers');
+            });
+        }
+
+        it('splits and merges layers', function (done) {
+            const layer = map.getLayers().item(0);
+            addStyleSource(map, 'b', { type: 'geojson', data: data }).then(function () {
+                return addStyleLayer(map, { id: 'b1', type: 'circle', source: 'b' }, 'a2');
+            }).then(function () {
+                should(getMapboxLayers()).eql([['a1'], ['b1'], ['a2']]);
+                should(map.getLayers().item(0)).equal(layer);
+                return removeStyleLayer(map, 'b1');
+            }).then(function () {
+                should(getMapboxLayers()).eql([['a1', 'a2']]);
+                should(map.getLayers().item(0)).equal(layer);
+                return removeStyleSource(map, 'b');
+            }).then(function () {
+                should(map.get('mapbox-style').sources).have.keys('a');
+                done();
+            }).catch(done);
+        });
+
+        it('moves layers', function (done) {
+            addStyleSource(map, 'b', { type: 'geojson', data: data }).then(function () {
+                return addStyleLayer(map, { id: 'b1', type: 'circle', source: 'b' });
+            }).then(function () {
+                should(getMapboxLayers()).eql([['a1', 'a2'], ['b1']]);
+                return moveStyleLayer(map, 'b1', 'a1');
+            }).then(function () {
+                should(getMapboxLayers()).eql([['b1'], ['a1', 'a2']]);
+                done();
+            }).catch(done);
+        });
+
+        it('rejects invalid changes', function (done) {
+            Promise.all([
+                should(addStyleLayer(map, { id: 'a1', type: 'circle', source: 'a' }))
+                    .be.rejectedWith('Layer "a1" already exists'),
+                should(addStyleLayer(map, { id: 'b1', type: 'circle', source: 'b' }))
+                    .be.rejectedWith(/source "b" not found/),
+                should(moveStyleLayer(map, 'a1', 'missing'))
+                    .be.rejectedWith('Layer "missing" does not exist'),
+                should(removeStyleLayer(map, 'missing'))
+                    .be.rejectedWith('Layer "missing" does not exist'),
+                should(removeStyleSource(map, 'a'))
+                    .be.rejectedWith('Source "a" is used by layer "a1"'),
+                should(addStyleLayer(new Map({}), { id: 'c1', type: 'circle', source: 'a' }))
+                    .be.rejectedWith('No Mapbox Style applied to the map')
+            ]).then(function () {
+                should(getMapboxLayers()).eql([['a1', 'a2']]);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('addImage, removeImage and hasImage', function () {
+        let map, layer, image;
+        beforeEach(function (done) {
+            image = document.createElement('canvas');
+            image.width = image.height = 16;
+            olms(document.createElement('div'), {
+                version: 8,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                properties: {category: 'cafe', name: 'Cafe'},
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'points',
+                    type: 'symbol',
+                    source: 'points',
+                    layout: {
+                        'icon-image': '{category}',
+                        'text-field': '{name}'
+                    }
+                }]
+            }).then(function (result) {
+                map = result;
+                layer = map.getLayers().item(0);
+                done();
+            }).catch(done);
+        });
+
+        function getStyle() {
+            const feature = layer.getSource().getFeatures()[0];
+            return layer.getStyle()(feature, 1)[0];
+        }
+
+        it('dispatches styleimagemissing and renders labels without missing images', function () {
+            const ids = [];
+            map.on('styleimagemissing', function (event) {
+                ids.push(event.id);
+            });
+            const style = getStyle();
+            should(ids).eql(['cafe']);
+            should(style.getImage()).be.null();
+            should(style.getText().getText()).eql('Cafe');
+            should(hasImage(map, 'cafe')).be.false();
+        });
+
+        it('renders images that are added by a styleimagemissing listener', function () {
+            map.on('styleimagemissing', function (event) {
+                addImage(map, event.id, image, {pixelRatio: 2});
+            });
+            const icon = getStyle().getImage();
+            should(icon.getImage(1)).equal(image);
+            should(icon.getScale()).eql(0.5);
+            should(hasImage(map, 'cafe')).be.true();
+        });
+
+        it('re-renders layers when images are added and removed', function () {
+            should(getStyle().getImage()).be.null();
+            let changed = 0;
+            layer.on('change', function () {
+                ++changed;
+            });
+            addImage(map, 'cafe', image);
+            should(changed).be.above(0);
+            should(getStyle().getImage().getImage(1)).equal(image);
+            removeImage(map, 'cafe');
+            should(getStyle().getImage()).be.null();
+            should(hasImage(map, 'cafe')).be.false();
+        });
+
+        it('throws for existing and unknown images', function () {
+            addImage(map, 'cafe', image);
+            should(function () {
+                addImage(map, 'cafe', image);
+            }).throw('Image "cafe" already exists');
+            should(function () {
+                removeImage(map, 'bar');
+            }).throw('Image "bar" does not exist');
+        });
+
+        it('throws for images of the sprite', function (done) {
+            olms(document.createElement('div'), {
+                version: 8,
+                sprite: window.location.protocol + '//' + window.location.host + '/fixtures/sprites',
+                sources: {
+                    'points': {type: 'geojson', data: {type: 'FeatureCollection', features: []}}
+                },
+                // The sprite is loaded for the layers that use it
+                layers: [{id: 'points', type: 'circle', source: 'points'}]
+            }).then(function (map) {
+                should(hasImage(map, 'accommodation_camping')).be.true();
+                should(function () {
+                    addImage(map, 'accommodation_camping', image);
+                }).throw('Image "accommodation_camping" already exists');
+                done();
+            }).catch(done);
+        });
+
+        it('prefers images of the sprite over added images', function (done) {
+            const target = new Map({target: document.createElement('div')});
+            addImage(target, 'accommodation_camping', image);
+            olms(target, {
+                version: 8,
+                sprite: window.location.protocol + '//' + window.location.host + '/fixtures/sprites',
+                sources: {
+                    'points': {type: 'geojson', data: {type: 'FeatureCollection', features: []}}
+                },
+                layers: [{id: 'points', type: 'circle', source: 'points'}]
+            }).then(function (map) {
+                should(getStyleImages(map).accommodation_camping.sprite).eql('default');
+                should(getStyleImage(map, 'accommodation_camping').sprite).eql('default');
+                done();
+            }).catch(done);
+        });
+
+        it('returns added images with getStyleImages and getStyleImage', function () {
+            addImage(map, 'cafe', image, {pixelRatio: 2, sdf: true});
+            const expected = {
+                width: image.width,
+                height: image.height,
+                pixelRatio: 2,
+                sdf: true
+            };
+            should(getStyleImages(map)).eql({cafe: expected});
+            should(getStyleImage(map, 'cafe')).eql(assign({image: image}, expected));
+            should(getStyleImage(map, 'bar')).be.undefined();
+        });
+    });
+
+    describe('setFeatureState, getFeatureState and removeFeatureState', function () {
+        let map, layer;
+        beforeEach(function (done) {
+            olms(document.createElement('div'), {
+                version: 8,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                id: 1,
+                                properties: {},
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }, {
+                                type: 'Feature',
+                                id: 2,
+                                properties: {},
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'points',
+                    type: 'circle',
+                    source: 'points',
+                    paint: {
+                        'circle-radius': 5,
+                        'circle-color': ['case', ['boolean', ['feature-state', 'hover'], false], '#0f0', '#f00']
+                    }
+                }]
+            }).then(function (result) {
+                map = result;
+                layer = map.getLayers().item(0);
+                done();
+            }).catch(done);
+        });
+
+        function getColor(id) {
+            const feature = layer.getSource().getFeatureById(id);
+            return layer.getStyle()(feature, 1)[0].getImage().getFill().getColor();
+        }
+
+        it('uses the feature state in paint properties', function () {
+            const revision = layer.getRevision();
+            setFeatureState(map, { source: 'points', id: 1 }, { hover: true });
+            should(layer.getRevision()).be.above(revision);
+            should(getColor(1)).eql('rgba(0,255,0,1)');
+            should(getColor(2)).eql('rgba(255,0,0,1)');
+        });
+
+        it('merges and removes states', function () {
+            setFeatureState(map, { source: 'points', id: 1 }, { hover: true });
+            setFeatureState(map, { source: 'points', id: 1 }, { selected: true });
+            should(getFeatureState(map, { source: 'points', id: 1 })).eql({ hover: true, selected: true });
+            removeFeatureState(map, { source: 'points', id: 1 }, 'hover');
+            should(getFeatureState(map, { source: 'points', id: 1 })).eql({ selected: true });
+            should(getColor(1)).eql('rgba(255,0,0,1)');
+            setFeatureState(map, { source: 'points', id: 2 }, { hover: true });
+            removeFeatureState(map, { source: 'points' });
+            should(getFeatureState(map, { source: 'points', id: 2 })).eql({});
+            should(getColor(2)).eql('rgba(255,0,0,1)');
+        });
+
+        it('throws for unknown sources', function () {
+            should(function () {
+                setFeatureState(map, { source: 'missing', id: 1 }, { hover: true });
+            }).throw('Source "missing" does not exist');
+        });
+    });
+
+    describe('queryRenderedFeatures', function () {
+        let map, target;
+        beforeEach(function (done) {
+            target = document.createElement('div');
+            target.style.width = target.style.height = '100px';
+            document.body.appendChild(target);
+            olms(target, {
+                version: 8,
+                center: [0, 0],
+                zoom: 2,
+                sources: {
+                    'shapes': {
+                        type: 'geojson',
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                id: 1,
+                                properties: { kind: 'point' },
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }, {
+                                type: 'Feature',
+                                id: 2,
+                                properties: { kind: 'area' },
+                                geometry: { type: 'Polygon', coordinates: [[[-10, -10], [10, -10], [10, 10], [-10, 10], [-10, -10]]] }
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'areas',
+                    type: 'fill',
+                    source: 'shapes',
+                    paint: { 'fill-color': '#f00' }
+                }, {
+                    id: 'points',
+                    type: 'circle',
+                    source: 'shapes',
+                    paint: { 'circle-radius': 5 }
+                }, {
+                    id: 'hidden',
+                    type: 'circle',
+                    source: 'shapes',
+                    layout: { visibility: 'none' },
+                    paint: { 'circle-radius': 5 }
+                }, {
+                    id: 'filtered',
+                    type: 'circle',
+                    source: 'shapes',
+                    filter: ['==', 'kind', 'none'],
+                    paint: { 'circle-radius': 5 }
+                }]
+            }).then(function (result) {
+                map = result;
+                map.renderSync();
+                done();
+            }).catch(done);
+        });
+
+        afterEach(function () {
+            map.setTarget(undefined);
+            document.body.removeChild(target);
+        });
+
+        it('returns the rendered features, top-most first', function () {
+            setFeatureState(map, { source: 'shapes', id: 1 }, { hover: true });
+            const features = queryRenderedFeatures(map, [50, 50]);
+            should(features.length).eql(2);
+            should(features[0].layer.id).eql('points');
+            should(features[0].source).eql('shapes');
+            should(features[0].sourceLayer).be.undefined();
+            should(features[0].id).eql(1);
+            should(features[0].properties).eql({ kind: 'point' });
+            should(features[0].geometry.type).eql('Point');
+            should(features[0].geometry.coordinates[0]).be.approximately(0, 1e-9);
+            should(features[0].geometry.coordinates[1]).be.approximately(0, 1e-9);
+            should(features[0].state).eql({ hover: true });
+            should(features[1].layer.id).eql('areas');
+            should(features[1].id).eql(2);
+        });
+
+        it('limits the results to layers and a filter', function () {
+            let features = queryRenderedFeatures(map, [50, 50], { layers: ['areas'] });
+            should(features.length).eql(1);
+            should(features[0].layer.id).eql('areas');
+            features = queryRenderedFeatures(map, [50, 50], { filter: ['==', 'kind', 'point'] });
+            should(features.length).eql(1);
+            should(features[0].layer.id).eql('points');
+        });
+
+        it('throws for unknown layers', function () {
+            should(function () {
+                queryRenderedFeatures(map, [50, 50], { layers: ['missing'] });
+            }).throw('Layer "missing" does not exist');
+        });
+    });
+
+    describe('querySourceFeatures', function () {
+        let map;
+        beforeEach(function (done) {
+            olms(document.createElement('div'), {
+                version: 8,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                id: 1,
+                                properties: { kind: 'a' },
+                                geometry: { type: 'Point', coordinates: [0, 0] }
+                            }, {
+                                type: 'Feature',
+                                id: 2,
+                                properties: { kind: 'b' },
+                                geometry: { type: 'Point', coordinates: [10, 0] }
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'points',
+                    type: 'circle',
+                    source: 'points',
+                    layout: { visibility: 'none' },
+                    paint: { 'circle-radius': 5 }
+                }]
+            }).then(function (result) {
+                map = result;
+                done();
+            }).catch(done);
+        });
+
+        it('returns the features of a source, rendered or not', function () {
+            setFeatureState(map, { source: 'points', id: 2 }, { selected: true });
+            const features = querySourceFeatures(map, 'points').sort(function (a, b) {
+                return a.id - b.id;
+            });
+            should(features.length).eql(2);
+            should(features[0].id).eql(1);
+            should(features[0].source).eql('points');
+            should(features[0].properties).eql({ kind: 'a' });
+            should(features[0].geometry.type).eql('Point');
+            should(features[1].state).eql({ selected: true });
+        });
+
+        it('limits the results to a filter', function () {
+            const features = querySourceFeatures(map, 'points', { filter: ['==', 'kind', 'b'] });
+            should(features.length).eql(1);
+            should(features[0].id).eql(2);
+        });
+
+        it('throws for unknown sources', function () {
+            should(function () {
+                querySourceFeatures(map, 'missing');
+            }).throw('Source "missing" does not exist');
+        });
+    });
+
+    describe('validateStyle', function () {
+        let style;
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'shapes': {
+                        type: 'geojson',
+                        data: { type: 'FeatureCollection', features: [] }
+                    }
+                },
+                layers: [{
+                    id: 'valid',
+                    type: 'fill',
+                    source: 'shapes'
+                }, {
+                    id: 'invalid',
+                    type: 'line',
+                    source: 'shapes',
+                    paint: { 'line-width': ['get', 1, 2] }
+                }]
+            };
+        });
+
+        it('returns the errors of layers and properties', function () {
+            should(validateStyle(style)).eql([{
+                layerId: 'invalid',
+                property: 'line-width',
+                message: 'Expected string but found number instead.'
+            }]);
+            style.layers.pop();
+            should(validateStyle(style)).eql([]);
+        });
+
+        it('accepts the supported source extensions', function () {
+            style.layers.pop();
+            style.sources.shapes.srs = 'EPSG:4490';
+            style.sources.shapes.cluster = true;
+            style.sources.shapes.clusterMinPoints = 3;
+            should(validateStyle(style)).eql([]);
+        });
+
+        it('accepts sprite arrays', function () {
+            style.layers.pop();
+            style.sprite = [{id: 'default', url: 'https://example.com/sprite'}, {id: 'poi', url: 'https://example.com/poi'}];
+            should(validateStyle(style)).eql([]);
+        });
+
+        it('rejects invalid styles in strict mode', function (done) {
+            olms(document.createElement('div'), style, { validate: 'strict' }).then(function () {
+                done(new Error('Invalid style applied'));
+            }).catch(function (error) {
+                should(error.message).startWith('Invalid style: invalid.line-width');
+                should(error.errors.length).eql(1);
+                done();
+            });
+        });
+
+        it('applies styles with srs sources in strict mode', function (done) {
+            style.layers.pop();
+            style.sources.shapes.srs = 'EPSG:4490';
+            olms(document.createElement('div'), style, { validate: 'strict' }).then(function (map) {
+                should(getLayer(map, 'valid').get('mapbox-layers')).eql(['valid']);
+                should(map.get('mapbox-style-errors')).eql([]);
+                done();
+            }).catch(done);
+        });
+
+        it('keeps the layers of srs sources in lenient mode', function (done) {
+            style.sources.shapes.srs = 'EPSG:4490';
+            olms(document.createElement('div'), style, { validate: 'lenient' }).then(function (map) {
+                should(getLayer(map, 'valid').get('mapbox-layers')).eql(['valid']);
+                should(map.get('mapbox-style-errors').length).eql(1);
+                done();
+            }).catch(done);
+        });
+
+        it('drops invalid layers in lenient mode', function (done) {
+            olms(document.createElement('div'), style, { validate: 'lenient' }).then(function (map) {
+                should(getLayer(map, 'valid').get('mapbox-layers')).eql(['valid']);
+                should(map.get('mapbox-style-errors')[0].layerId).eql('invalid');
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('registerTileGrid', function () {
+        let style;
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'local': {
+                        type: 'vector',
+                        srs: 'EPSG:4549',
+                        maxzoom: 2,
+                        tiles: ['https://example.com/{z}/{x}/{y}.pbf']
+                    }
+                },
+                layers: [{
+                    id: 'water',
+                    type: 'fill',
+                    source: 'local',
+                    'source-layer': 'water',
+                    minzoom: 1
+                }]
+            };
+        });
+
+        it('uses the registered tile grid for sources and zoom levels', function (done) {
+            addProjection(new Projection({
+                code: 'EPSG:4549',
+                units: 'm',
+                extent: [0, 0, 1024000, 1024000]
+            }));
+            registerTileGrid('EPSG:4549', {
+                extent: [0, 0, 1024000, 1024000],
+                origin: [0, 1024000],
+                resolutions: [2000, 1000, 500],
+                tileSize: 512
+            });
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'local');
+                should(source.getProjection().getCode()).eql('EPSG:4549');
+                should(source.getTileGrid().getResolutions()).eql([2000, 1000, 500]);
+                should(source.getTileGrid().getOrigin(0)).eql([0, 1024000]);
+                should(map.getView().getProjection().getCode()).eql('EPSG:4549');
+                should(getLayer(map, 'water').getMaxResolution()).eql(1000 + 1e-9);
+                done();
+            }).catch(done);
+        });
+
+        it('uses the EPSG:3857 tile grid for sources without a registered tile grid', function (done) {
+            style.sources.local.srs = 'EPSG:4548';
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'local');
+                should(source.getProjection().getCode()).eql('EPSG:3857');
+                should(source.getTileGrid().getResolution(0)).eql(defaultResolutions[0]);
+                should(source.getTileUrlFunction()([1, 0, 0], 1)).eql('https://example.com/1/0/0.pbf');
+                done();
+            }).catch(done);
+        });
+
+        it('counts rows of EPSG:4490 tiles from the bottom, unless the source has a scheme', function (done) {
+            style.sources.local.srs = 'EPSG:4490';
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'local');
+                should(source.getProjection().getCode()).eql('EPSG:4490');
+                should(source.getTileUrlFunction()([1, 0, 0], 1)).eql('https://example.com/1/0/1.pbf');
+                const glStyle = JSON.parse(JSON.stringify(style));
+                glStyle.sources.local.scheme = 'xyz';
+                return setStyle(map, glStyle);
+            }).then(function (map) {
+                should(getSource(map, 'local').getTileUrlFunction()([1, 0, 0], 1)).eql('https://example.com/1/0/0.pbf');
+                done();
+            }).catch(done);
+        });
+
+        it('throws for unknown projections', function () {
+            should(function () {
+                registerTileGrid('EPSG:4547', {
+                    extent: [0, 0, 1, 1],
+                    origin: [0, 1],
+                    resolutions: [1],
+                    tileSize: 512
+                });
+            }).throw('Unknown projection "EPSG:4547"');
+        });
+    });
+
+    describe('clustered geojson sources', function () {
+        let style;
+        beforeEach(function () {
+            const features = [];
+            for (let i = 0; i < 5; ++i) {
+                features.push({
+                    type: 'Feature',
+                    properties: {n: i},
+                    geometry: {type: 'Point', coordinates: [i * 0.01, 0]}
+                });
+            }
+            features.push({
+                type: 'Feature',
+                properties: {n: 100},
+                geometry: {type: 'Point', coordinates: [50, 0]}
+            });
+            style = {
+                version: 8,
+                center: [0, 0],
+                zoom: 2,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        cluster: true,
+                        clusterProperties: {
+                            sum: ['+', ['get', 'n']]
+                        },
+                        data: {type: 'FeatureCollection', features: features}
+                    }
+                },
+                layers: [{
+                    id: 'clusters',
+                    type: 'circle',
+                    source: 'points',
+                    filter: ['has', 'point_count']
+                }]
+            };
+        });
+
+        function loadClusters(map) {
+            const view = map.getView();
+            const source = getSource(map, 'points');
+            source.loadFeatures(view.getProjection().getExtent(), view.getResolution(), view.getProjection());
+            return source.getFeatures();
+        }
+
+        it('clusters points with the cluster properties', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const features = loadClusters(map);
+                should(features.length).eql(2);
+                const cluster = features.filter(function (feature) {
+                    return feature.get('cluster');
+                })[0];
+                should(cluster.get('point_count')).eql(5);
+                should(cluster.get('point_count_abbreviated')).eql(5);
+                should(cluster.get('sum')).eql(10);
+                should(cluster.get('cluster_id')).be.a.Number();
+                done();
+            }).catch(done);
+        });
+
+        it('gets the expansion zoom and the leaves of clusters', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const cluster = loadClusters(map).filter(function (feature) {
+                    return feature.get('cluster');
+                })[0];
+                const clusterId = cluster.get('cluster_id');
+                should(getClusterExpansionZoom(map, 'points', clusterId)).eql(10);
+                const leaves = getClusterLeaves(map, 'points', clusterId, 3, 1);
+                should(leaves.map(function (feature) {
+                    return feature.get('n');
+                })).eql([1, 2, 3]);
+                should(function () {
+                    getClusterLeaves(map, 'points', -1);
+                }).throw('Cluster "-1" does not exist');
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('tiled geojson sources', function () {
+        let style;
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'shapes': {
+                        type: 'geojson',
+                        buffer: 0,
+                        data: {
+                            type: 'FeatureCollection',
+                            features: [{
+                                type: 'Feature',
+                                id: 1,
+                                properties: {kind: 'area'},
+                                geometry: {type: 'Polygon', coordinates: [[[-10, -10], [10, -10], [10, 10], [-10, 10], [-10, -10]]]}
+                            }, {
+                                type: 'Feature',
+                                id: 2,
+                                properties: {kind: 'road'},
+                                geometry: {type: 'LineString', coordinates: [[-20, 5], [20, 5]]}
+                            }]
+                        }
+                    }
+                },
+                layers: [{
+                    id: 'areas',
+                    type: 'fill',
+                    source: 'shapes',
+                    filter: ['==', 'kind', 'area']
+                }]
+            };
+        });
+
+        it('renders geojson sources with a vector tile layer', function (done) {
+            olms(document.createElement('div'), style, {tileGeoJSON: true}).then(function (map) {
+                const layer = map.getLayers().item(0);
+                should(layer).be.instanceof(VectorTileLayer);
+                const source = getSource(map, 'shapes');
+                should(source).be.instanceof(VectorTileSource);
+                should(source).equal(layer.getSource());
+                should(source.getTileGrid().getMaxZoom()).eql(18);
+                done();
+            }).catch(done);
+        });
+
+        it('slices the features into tiles', function (done) {
+            olms(document.createElement('div'), style, {tileGeoJSON: true}).then(function (map) {
+                const source = getSource(map, 'shapes');
+                const tileCoord = [1, 1, 0];
+                const tile = new VectorTile(tileCoord, 0, tileCoord.join('/'), undefined, source.getTileLoadFunction());
+                tile.extent = source.getTileGrid().getTileCoordExtent(tileCoord);
+                tile.addEventListener('change', function () {
+                    if (tile.getState() !== 2) {
+                        return;
+                    }
+                    const features = tile.getFeatures();
+                    should(features.map(function (feature) {
+                        return [feature.getType(), feature.get('kind'), feature.getId()];
+                    })).eql([['Polygon', 'area', 1], ['LineString', 'road', 2]]);
+                    // Clipped to the tile
+                    should(features[1].getFlatCoordinates()[0]).eql(0);
+                    const styleFunction = map.getLayers().item(0).getStyle();
+                    should(styleFunction(features[0], 1000)).be.an.Array();
+                    should(styleFunction(features[1], 1000)).be.undefined();
+                    done();
+                });
+                tile.load();
+            }).catch(done);
+        });
+    });
+
+    describe('setGeoJSONData', function () {
+        let style;
+        function featureCollection(x, crs) {
+            return {
+                type: 'FeatureCollection',
+                crs: crs,
+                features: [{
+                    type: 'Feature',
+                    properties: {x: x},
+                    geometry: {type: 'Point', coordinates: [x, 0]}
+                }]
+            };
+        }
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'points': {
+                        type: 'geojson',
+                        data: featureCollection(1)
+                    },
+                    'projected': {
+                        type: 'geojson',
+                        dataSrs: 'EPSG:3857',
+                        data: featureCollection(1000)
+                    }
+                },
+                layers: [{
+                    id: 'points',
+                    type: 'circle',
+                    source: 'points'
+                }, {
+                    id: 'projected',
+                    type: 'circle',
+                    source: 'projected'
+                }]
+            };
+        });
+
+        it('reads the data with the dataSrs of the source', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const features = getSource(map, 'projected').getFeatures();
+                should(features[0].getGeometry().getCoordinates()).eql([1000, 0]);
+                done();
+            }).catch(done);
+        });
+
+        it('replaces the features of the source in place', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const layer = getLayer(map, 'points');
+                const source = getSource(map, 'points');
+                setGeoJSONData(map, 'points', featureCollection(2));
+                should(getLayer(map, 'points')).equal(layer);
+                should(getSource(map, 'points')).equal(source);
+                const features = source.getFeatures();
+                should(features.length).eql(1);
+                should(features[0].get('x')).eql(2);
+                should(toLonLat(features[0].getGeometry().getCoordinates())[0]).be.approximately(2, 1e-8);
+                should(map.get('mapbox-style').sources.points.data.features[0].properties.x).eql(2);
+                done();
+            }).catch(done);
+        });
+
+        it('reads the projection from the crs member of the data', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                setGeoJSONData(map, 'points', featureCollection(500, {
+                    type: 'name',
+                    properties: {name: 'urn:ogc:def:crs:EPSG::3857'}
+                }));
+                const features = getSource(map, 'points').getFeatures();
+                should(features[0].getGeometry().getCoordinates()).eql([500, 0]);
+                should(function () {
+                    setGeoJSONData(map, 'points', featureCollection(1, {
+                        type: 'name',
+                        properties: {name: 'EPSG:99999'}
+                    }));
+                }).throw('Unknown projection "EPSG:99999"');
+                should(function () {
+                    setGeoJSONData(map, 'unknown', featureCollection(1));
+                }).throw('Source "unknown" does not exist');
+                done();
+            }).catch(done);
+        });
+
+        it('dispatches an error event when data cannot be loaded', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'points');
+                source.on('error', function (event) {
+                    should(event.error).be.an.instanceOf(Error);
+                    should(source.getFeatures()).eql([]);
+                    done();
+                });
+                setGeoJSONData(map, 'points', './fixtures/missing.geojson');
+                const view = map.getView();
+                source.loadFeatures(view.getProjection().getExtent(), 1, view.getProjection());
+            }).catch(done);
+        });
+    });
+
+    describe('feature ids', function () {
+        let style;
+        beforeEach(function () {
+            const features = ['a', 'b', undefined].map(function (ref, i) {
+                return {
+                    type: 'Feature',
+                    properties: {ref: ref},
+                    geometry: {type: 'Point', coordinates: [i, 0]}
+                };
+            });
+            style = {
+                version: 8,
+                sources: {
+                    'generated': {
+                        type: 'geojson',
+                        generateId: true,
+                        data: {type: 'FeatureCollection', features: features}
+                    },
+                    'promoted': {
+                        type: 'geojson',
+                        promoteId: 'ref',
+                        data: {type: 'FeatureCollection', features: features}
+                    }
+                },
+                layers: [{
+                    id: 'generated',
+                    type: 'circle',
+                    source: 'generated',
+                    filter: ['==', ['id'], 1],
+                    paint: {'circle-radius': 5}
+                }, {
+                    id: 'promoted',
+                    type: 'circle',
+                    source: 'promoted',
+                    paint: {'circle-radius': 5}
+                }]
+            };
+        });
+
+        it('generates ids from the index of the features', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const features = getSource(map, 'generated').getFeatures();
+                should(features.map(function (feature) {
+                    return feature.getId();
+                })).eql([0, 1, 2]);
+                const styleFunction = getLayer(map, 'generated').getStyle();
+                should(styleFunction(features[0], 1)).be.undefined();
+                should(styleFunction(features[1], 1)).be.an.Array();
+                done();
+            }).catch(done);
+        });
+
+        it('uses the promoteId property as id', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const features = getSource(map, 'promoted').getFeatures();
+                should(features.map(function (feature) {
+                    return feature.getId();
+                })).eql(['a', 'b', undefined]);
+                should(features[0].get('ref')).eql('a');
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('image sources', function () {
+        let style;
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'flood': {
+                        type: 'image',
+                        url: 'https://example.com/flood.png',
+                        coordinates: [[10, 50], [12, 50], [12, 48], [10, 48]]
+                    }
+                },
+                layers: [{
+                    id: 'flood',
+                    type: 'raster',
+                    source: 'flood',
+                    paint: {
+                        'raster-opacity': 0.5,
+                        'raster-saturation': -1,
+                        'raster-resampling': 'nearest'
+                    }
+                }]
+            };
+        });
+
+        it('creates an image layer with the raster paint properties', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const layer = getLayer(map, 'flood');
+                should(layer).be.instanceOf(ImageLayer);
+                should(layer.getOpacity()).eql(0.5);
+                should(layer.get('mapbox-raster-filter')).eql('saturate(0)');
+                should(layer.get('mapbox-raster-resampling')).eql('nearest');
+                should(layer.getSource().getUrl()).eql('https://example.com/flood.png');
+                should(layer.getSource().getImageExtent()).eql(boundingExtent([fromLonLat([10, 48]), fromLonLat([12, 50])]));
+                should(layer.getSource().getProjection().getCode()).eql('EPSG:3857');
+                done();
+            }).catch(done);
+        });
+
+        it('updates the url and coordinates of the image', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                return updateImageSource(map, 'flood', {
+                    url: 'https://example.com/flood2.png',
+                    coordinates: [[0, 1], [1, 1], [1, 0], [0, 0]]
+                });
+            }).then(function (map) {
+                const source = getSource(map, 'flood');
+                should(source.getUrl()).eql('https://example.com/flood2.png');
+                should(source.getImageExtent()).eql(boundingExtent([fromLonLat([0, 0]), fromLonLat([1, 1])]));
+                should(map.get('mapbox-style').sources.flood.url).eql('https://example.com/flood2.png');
+                done();
+            }).catch(done);
+        });
+
+        it('places rotated images in the extent of their corners', function (done) {
+            style.sources.flood.coordinates = [[11, 50], [12, 49], [11, 48], [10, 49]];
+            olms(document.createElement('div'), style).then(function (map) {
+                should(getSource(map, 'flood').getImageExtent()).eql(boundingExtent([fromLonLat([10, 48]), fromLonLat([12, 50])]));
+                done();
+            }).catch(done);
+        });
+
+        it('rejects coordinates that are not the corners of a convex quadrilateral', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                return should(updateImageSource(map, 'flood', {
+                    coordinates: [[10, 50], [12, 48], [12, 50], [10, 48]]
+                })).be.rejectedWith('Invalid image coordinates: [[10,50],[12,48],[12,50],[10,48]]');
+            }).then(function () {
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('hillshade layers', function () {
+        const style = {
+            version: 8,
+            sources: {
+                'terrain': {
+                    type: 'raster-dem',
+                    encoding: 'terrarium',
+                    tileSize: 256,
+                    maxzoom: 15,
+                    tiles: ['https://example.com/terrarium/{z}/{x}/{y}.png']
+                }
+            },
+            layers: [{
+                id: 'hills',
+                type: 'hillshade',
+                source: 'terrain',
+                paint: {
+                    'hillshade-exaggeration': 0.8,
+                    'hillshade-shadow-color': '#000000'
+                }
+            }]
+        };
+
+        it('creates an image layer with a raster source for the elevation tiles', function (done) {
+            olms(document.createElement('div'), style).then(function (map) {
+                const layer = getLayer(map, 'hills');
+                should(layer).be.instanceOf(ImageLayer);
+                return new Promise(function (resolve) {
+                    if (layer.getSource()) {
+                        resolve(layer.getSource());
+                    } else {
+                        layer.once('change:source', function () {
+                            resolve(layer.getSource());
+                        });
+                    }
+                });
+            }).then(function (source) {
+                should(source).be.instanceOf(RasterSource);
+                const data = {};
+                source.dispatchEvent({
+                    type: 'beforeoperations',
+                    data: data,
+                    resolution: 100,
+                    extent: [0, 0, 25600, 25600]
+                });
+                should(data.encoding).eql('terrarium');
+                should(data.exaggeration).eql(0.8);
+                should(data.resolution).be.approximately(100, 1e-3);
+                should(data.shadowColor).eql([0, 0, 0, 1]);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('tileMatrixSet', function () {
+        let style;
+        beforeEach(function () {
+            style = {
+                version: 8,
+                sources: {
+                    'local': {
+                        type: 'vector',
+                        tiles: ['https://example.com/{z}/{x}/{y}.pbf']
+                    }
+                },
+                layers: [{
+                    id: 'water',
+                    type: 'fill',
+                    source: 'local',
+                    'source-layer': 'water'
+                }]
+            };
+        });
+
+        it('creates the tile grid from the tile matrices', function (done) {
+            style.sources.local.tileMatrixSet = {
+                identifier: 'custom',
+                supportedCRS: 'urn:ogc:def:crs:EPSG::4326',
+                tileMatrix: [{
+                    identifier: '0',
+                    scaleDenominator: 279541132.0143589,
+                    topLeftCorner: [90, -180],
+                    tileWidth: 256,
+                    tileHeight: 256,
+                    matrixWidth: 2,
+                    matrixHeight: 1
+                }, {
+                    identifier: '1',
+                    scaleDenominator: 139770566.00717944,
+                    topLeftCorner: [80, -170],
+                    tileWidth: 256,
+                    tileHeight: 256,
+                    matrixWidth: 3,
+                    matrixHeight: 2
+                }]
+            };
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'local');
+                const tileGrid = source.getTileGrid();
+                should(source.getProjection().getCode()).eql('EPSG:4326');
+                should(tileGrid.getResolutions()).eql([0.703125, 0.3515625]);
+                should(tileGrid.getOrigin(0)).eql([-180, 90]);
+                should(tileGrid.getOrigin(1)).eql([-170, 80]);
+                should(tileGrid.getFullTileRange(1).maxX).eql(2);
+                should(source.getTileUrlFunction()([1, 2, 1], 1)).eql('https://example.com/1/2/1.pbf');
+                done();
+            }).catch(done);
+        });
+
+        it('supports well-known tile matrix sets', function (done) {
+            style.sources.local.tileMatrixSet = 'WorldCRS84Quad';
+            style.sources.local.scheme = 'tms';
+            olms(document.createElement('div'), style).then(function (map) {
+                const source = getSource(map, 'local');
+                const tileGrid = source.getTileGrid();
+                should(tileGrid.getResolution(0)).eql(0.703125);
+                should(tileGrid.getFullTileRange(2).getWidth()).eql(8);
+                should(source.getTileUrlFunction()([2, 5, 1], 1)).eql('https://example.com/2/5/2.pbf');
+                done();
+            }).catch(done);
+        });
+
+        it('counts rows from the bottom of the tile matrices for sources with bounds', function (done) {
+            style.sources.local.tileMatrixSet = 'WorldCRS84Quad';
+            style.sources.local.tiles = ['https://example.com/{z}/{x}/{-y}.pbf'];
+            style.sources.local.bounds = [0, 0, 90, 45];
+            olms(document.createElement('div'), style).then(function (map) {
+                should(getSource(map, 'local').getTileUrlFunction()([2, 5, 1], 1)).eql('https://example.com/2/5/2.pbf');
+                done();
+            }).catch(done);
+        });
+
+        it('uses the resolutions of the tile matrices for zoom levels', function (done) {
+            style.sources.local.tileMatrixSet = 'WorldCRS84Quad';
+            style.layers[0].minzoom = 1;
+            olms(document.createElement('div'), style).then(function (map) {
+                should(getLayer(map, 'water').getMaxResolution()).eql(0.3515625 + 1e-9);
+                done();
+            }).catch(done);
+        });
+
+        it('requests coalesced tiles with the url of their first column', function (done) {
+            style.sources.local.tiles = ['https://example.com/{z}/{x}/{y}.pbf?bbox={bbox-epsg-4326}'];
+            style.sources.local.tileMatrixSet = {
+                crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+                tileMatrices: [{
+                    id: '0',
+                    cellSize: 0.3515625,
+                    pointOfOrigin: [-180, 90],
+                    tileWidth: 256,
+                    tileHeight: 256,
+                    matrixWidth: 4,
+                    matrixHeight: 2,
+                    variableMatrixWidths: [{coalesce: 4, minTileRow: 0, maxTileRow: 0}]
+                }]
+            };
+            olms(document.createElement('div'), style).then(function (map) {
+                const urlFunction = getSource(map, 'local').getTileUrlFunction();
+                should(urlFunction([0, 3, 0], 1)).eql('https://example.com/0/0/0.pbf?bbox=-180,0,180,90');
+                should(urlFunction([0, 3, 1], 1)).eql('https://example.com/0/3/1.pbf?bbox=90,-90,180,0');
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('renderLegend', function () {
+        function getPixel(canvas, x, y) {
+            return Array.prototype.slice.call(canvas.getContext('2d').getImageData(x, y, 1, 1).data);
+        }
+
+        beforeEach(function () {
+            global.devicePixelRatio = 1;
+        });
+
+        it('does not share compiled properties with the style function', function (done) {
+            const renderedLayer = {id: 'shared', type: 'fill', paint: {'fill-color': '#ff0000'}};
+            should(getValue(renderedLayer, 'paint', 'fill-color', 0, {}).toString()).eql('rgba(255,0,0,1)');
+            renderLegend({
+                version: 8,
+                sources: {
+                    'v': {type: 'vector', tiles: ['https://example.com/{z}/{x}/{y}.pbf']}
+                },
+                layers: [{
+                    id: 'shared',
+                    type: 'fill',
+                    source: 'v',
+                    'source-layer': 'landuse',
+                    paint: {'fill-color': '#0000ff'}
+                }]
+            }).then(function (items) {
+                should(getPixel(items[0].image, 10, 10)).eql([0, 0, 255, 255]);
+                should(getValue(renderedLayer, 'paint', 'fill-color', 0, {}).toString()).eql('rgba(255,0,0,1)');
+                done();
+            }).catch(done);
+        });
+
+        it('splits layers with match and step expressions into classes', function (done) {
+            renderLegend({
+                version: 8,
+                sources: {
+                    'v': {type: 'vector', tiles: ['https://example.com/{z}/{x}/{y}.pbf']}
+                },
+                layers: [{
+                    id: 'background',
+                    type: 'background'
+                }, {
+                    id: 'landuse',
+                    type: 'fill',
+                    source: 'v',
+                    'source-layer': 'landuse',
+                    paint: {
+                        'fill-color': ['match', ['get', 'class'], ['park', 'forest'], '#00ff00', '#ff0000']
+                    }
+                }, {
+                    id: 'roads',
+                    type: 'line',
+                    source: 'v',
+                    'source-layer': 'roads',
+                    paint: {
+                        'line-color': ['step', ['get', 'rank'], '#0000ff', 5, '#000000'],
+                        'line-width': 4
+                    }
+                }]
+            }).then(function (items) {
+                should(items.map(function (item) {
+                    return [item.layer, item.label];
+                })).eql([
+                    ['landuse', 'park, forest'],
+                    ['landuse', 'other'],
+                    ['roads', '< 5'],
+                    ['roads', '≥ 5']
+                ]);
+                should(items[0].image.width).eql(20);
+                should(getPixel(items[0].image, 10, 10)).eql([0, 255, 0, 255]);
+                should(getPixel(items[1].image, 10, 10)).eql([255, 0, 0, 255]);
+                should(getPixel(items[2].image, 10, 10)).eql([0, 0, 255, 255]);
+                should(getPixel(items[3].image, 10, 10)).eql([0, 0, 0, 255]);
+                done();
+            }).catch(done);
+        });
+
+        it('renders the selected layers that are visible at the zoom level', function (done) {
+            const url = window.location.protocol + '//' + window.location.host + '/fixtures/osm-liberty/osm-liberty';
+            renderLegend({
+                version: 8,
+                sprite: url,
+                sources: {
+                    'v': {type: 'vector', tiles: ['https://example.com/{z}/{x}/{y}.pbf']}
+                },
+                layers: [{
+                    id: 'airports',
+                    type: 'symbol',
+                    source: 'v',
+                    'source-layer': 'aerodrome_label',
+                    layout: {
+                        'icon-image': 'airfield_11'
+                    }
+                }, {
+                    id: 'places',
+                    type: 'circle',
+                    source: 'v',
+                    'source-layer': 'place',
+                    minzoom: 10,
+                    paint: {
+                        'circle-color': '#ff0000'
+                    }
+                }, {
+                    id: 'water',
+                    type: 'fill',
+                    source: 'v',
+                    'source-layer': 'water'
+                }]
+            }, {layers: ['airports', 'places'], zoom: 5}).then(function (items) {
+                should(items.length).eql(1);
+                should(items[0].layer).eql('airports');
+                should(items[0].label).eql('airports');
+                should(items[0].image.width).eql(20);
+                done();
+            }).catch(done);
+        });
+    });
+
     describe('getFonts', function () {
         it('does not loads standard fonts', function () {
             getFonts(['monospace', 'sans-serif']);
@@ -510,5 +2057,58 @@ describe('ol-mapbox-style', function () {
             stylesheets = document.querySelectorAll('link[rel=stylesheet]');
             should(stylesheets.length).eql(3);
         });
+
+        describe('font providers', function () {
+            afterEach(function () {
+                setFontProviders([googleFontProvider]);
+            });
+
+            function getFontFaces(family) {
+                const fontFaces = [];
+                document.fonts.forEach(function (fontFace) {
+                    if (fontFace.family.replace(/"/g, '') == family) {
+                        fontFaces.push(fontFace);
+                    }
+                });
+                return fontFaces;
+            }
+
+            it('loads the fonts of a manifest with the FontFace API', function () {
+                setFontProviders([createFontManifestProvider({
+                    'Noto Sans CJK SC Regular': 'fixtures/NotoSansCJKsc-Regular.woff2',
+                    'Microsoft YaHei Bold': {local: 'SimHei'}
+                })]);
+                const links = document.querySelectorAll('link[rel=stylesheet]').length;
+                getFonts(['Noto Sans CJK SC Regular', 'Microsoft YaHei Bold', 'Averia Sans Libre Regular']);
+                should(document.querySelectorAll('link[rel=stylesheet]').length).eql(links);
+                const cjk = getFontFaces('Noto Sans CJK SC');
+                should(cjk.length).eql(1);
+                should(cjk[0].style).eql('normal');
+                const yaHei = getFontFaces('Microsoft YaHei');
+                should(yaHei.length).eql(1);
+                should(yaHei[0].weight).eql('700');
+                cjk.concat(yaHei).forEach(function (fontFace) {
+                    document.fonts.delete(fontFace);
+                });
+            });
+
+            it('asks the providers in order', function () {
+                const asked = [];
+                setFontProviders([function (description) {
+                    asked.push(description);
+                    return true;
+                }, function () {
+                    throw new Error('font was already provided');
+                }]);
+                getFonts(['Open Sans Semibold Italic']);
+                getFonts(['Open Sans Semibold Italic']);
+                should(asked).eql([{
+                    font: 'Open Sans Semibold Italic',
+                    family: 'Open Sans',
+                    weight: '600',
+                    style: 'italic'
+                }]);
+            });
+        });
     });
 });
@@ -0,0 +1,88 @@
+import should from 'should';
+import { hillshade } from '../src/shaders';
+
+describe('shaders', function () {
+
+    describe('hillshade()', function () {
+        const data = {
+            resolution: 10,
+            encoding: 'mapbox',
+            exaggeration: 0.5,
+            azimuth: 335 * Math.PI / 180,
+            shadowColor: [0, 0, 0, 1],
+            highlightColor: [1, 1, 1, 1],
+            accentColor: [0, 0, 0, 1]
+        };
+
+        function createElevationImage(getElevation, encoding) {
+            const width = 4;
+            const height = 4;
+            const imageData = new ImageData(width, height);
+            for (let y = 0; y < height; ++y) {
+                for (let x = 0; x < width; ++x) {
+                    const offset = (y * width + x) * 4;
+                    if (encoding === 'terrarium') {
+                        const value = getElevation(x, y) + 32768;
+                        imageData.data[offset] = Math.floor(value / 256);
+                        imageData.data[offset + 1] = Math.floor(value % 256);
+                        imageData.data[offset + 2] = Math.floor((value % 1) * 256);
+                    } else {
+                        // Mapbox terrain-RGB encoding
+                        const value = (getElevation(x, y) + 10000) * 10;
+                        imageData.data[offset] = value >> 16;
+                        imageData.data[offset + 1] = (value >> 8) & 255;
+                        imageData.data[offset + 2] = value & 255;
+                    }
+                    imageData.data[offset + 3] = 255;
+                }
+            }
+            return imageData;
+        }
+
+        it('does not shade flat terrain', function () {
+            const result = hillshade([createElevationImage(function () {
+                return 500;
+            })], data);
+            should(result.width).equal(4);
+            should(Array.prototype.every.call(result.data, function (value) {
+                return value === 0;
+            })).be.true();
+        });
+
+        it('shades slopes', function () {
+            const result = hillshade([createElevationImage(function (x) {
+                return 500 + x * 50;
+            })], data);
+            should(result.data[(1 * 4 + 1) * 4 + 3]).be.above(0);
+        });
+
+        it('decodes terrarium elevations', function () {
+            function getElevation(x, y) {
+                return 500 + x * 50 + y * 20.5;
+            }
+            const terrariumData = Object.assign({}, data, { encoding: 'terrarium' });
+            const terrarium = hillshade([createElevationImage(getElevation, 'terrarium')], terrariumData);
+            const mapbox = hillshade([createElevationImage(getElevation)], data);
+            should(terrarium.data[(1 * 4 + 1) * 4 + 3]).be.above(0);
+            should(Array.prototype.slice.call(terrarium.data)).eql(Array.prototype.slice.call(mapbox.data));
+        });
+
+        it('does not shade flat terrarium terrain', function () {
+            const result = hillshade([createElevationImage(function () {
+                return -250;
+            }, 'terrarium')], Object.assign({}, data, { encoding: 'terrarium' }));
+            should(Array.prototype.every.call(result.data, function (value) {
+                return value === 0;
+            })).be.true();
+        });
+
+        it('does not shade pixels without elevation data', function () {
+            const image = createElevationImage(function (x) {
+                return 500 + x * 50;
+            });
+            image.data[(1 * 4 + 1) * 4 + 3] = 0;
+            const result = hillshade([image], data);
+            should(result.data[(1 * 4 + 1) * 4 + 3]).equal(0);
+        });
+    });
+});
@@ -11,7 +11,8 @@ import {
     _evaluateFilter as evaluateFilter,
     _fromTemplate as fromTemplate,
     _getValue as getValue,
-    _functionCache as functionCache
+    _functionCache as functionCache,
+    getHeatmapGradient
 } from '../src/stylefunction';
 
 
@@ -155,4 +156,30 @@ describe('utility functions currently in stylefunction.js', function () {
         });
 
     });
+
+    describe('getHeatmapGradient()', function () {
+        const glLayer = {
+            'id': 'heat',
+            'type': 'heatmap',
+            'paint': {
+                'heatmap-color': [
+                    'interpolate', ['linear'], ['heatmap-density'],
+                    0, 'rgba(0, 0, 255, 0)',
+                    1, 'red'
+                ]
+            }
+        };
+
+        it('should sample the color ramp over heatmap-density', function () {
+            const gradient = getHeatmapGradient(glLayer, 11, 3);
+            should(gradient).have.length(3);
+            should(gradient[0]).eql('rgba(0,0,0,0)');
+            should(gradient[2]).eql('rgba(255,0,0,1)');
+        });
+
+        it('should use the default ramp when heatmap-color is not set', function () {
+            const gradient = getHeatmapGradient({ id: 'heat-default', type: 'heatmap' }, 11, 2);
+            should(gradient).eql(['rgba(0,0,0,0)', 'rgba(255,0,0,1)']);
+        });
+    });
 });
@@ -1,6 +1,7 @@
 import should from 'should';
 import deepFreeze from 'deep-freeze';
-import applyStyleFunction from '../src/stylefunction';
+import applyStyleFunction, { drawSdfIcon, _functionCache as functionCache } from '../src/stylefunction';
+import { Color } from '@mapbox/mapbox-gl-style-spec';
 import olms from '../src/index';
 import states from './fixtures/states.json';
 import Feature from 'ol-zhyt/Feature';
@@ -62,6 +63,181 @@ describe('stylefunction', function () {
             const style = applyStyleFunction(layer, states, ['state_names']);
             should(style(feature, 1)).be.undefined();
         });
+
+        it('evaluates feature ids in filters and expressions', function () {
+            const style = {
+                version: 8,
+                sources: {
+                    'states': {
+                        type: 'geojson',
+                        data: {type: 'FeatureCollection', features: []}
+                    }
+                },
+                layers: [{
+                    id: 'legacy-id-filter',
+                    type: 'fill',
+                    source: 'states',
+                    filter: ['==', '$id', 'a']
+                }, {
+                    id: 'id-expression',
+                    type: 'fill',
+                    source: 'states',
+                    filter: ['==', ['id'], 'b']
+                }]
+            };
+            const styleFunction = applyStyleFunction(layer, style, 'states');
+            should(styleFunction(feature, 1)).be.undefined();
+            feature.setId('a');
+            should(styleFunction(feature, 1).length).eql(1);
+            feature.setId('b');
+            should(styleFunction(feature, 1).length).eql(1);
+        });
+
+        it('only clears the compiled functions of changed layers', function () {
+            function getStyle(color) {
+                return {
+                    version: 8,
+                    sources: {
+                        'shapes': {
+                            type: 'geojson',
+                            data: {type: 'FeatureCollection', features: []}
+                        }
+                    },
+                    layers: [{
+                        id: 'unchanged-fill',
+                        type: 'fill',
+                        source: 'shapes',
+                        paint: {'fill-color': '#f00'}
+                    }, {
+                        id: 'changed-fill',
+                        type: 'fill',
+                        source: 'shapes',
+                        paint: {'fill-color': color}
+                    }]
+                };
+            }
+            applyStyleFunction(layer, getStyle('#0f0'), 'shapes')(feature, 1);
+            const unchanged = functionCache['unchanged-fill'];
+            const changed = functionCache['changed-fill'];
+            should(unchanged).be.ok();
+            should(changed).be.ok();
+            const styles = applyStyleFunction(layer, getStyle('#00f'), 'shapes')(feature, 1);
+            should(functionCache['unchanged-fill']).equal(unchanged);
+            should(functionCache['changed-fill']).not.equal(changed);
+            should(styles[1].getFill().getColor()).eql('rgba(0,0,255,1)');
+        });
+    });
+
+    describe('fill-extrusion layers', function () {
+        let feature, layer, style;
+        beforeEach(function () {
+            feature = new Feature(new Polygon([[[-1, -1], [-1, 1], [1, 1], [1, -1], [-1, -1]]]));
+            layer = new VectorLayer();
+            style = {
+                version: 8,
+                sources: {
+                    'buildings': {
+                        type: 'geojson',
+                        data: {type: 'FeatureCollection', features: []}
+                    }
+                },
+                layers: [{
+                    id: 'buildings',
+                    type: 'fill-extrusion',
+                    source: 'buildings',
+                    paint: {
+                        'fill-extrusion-color': '#f00',
+                        'fill-extrusion-height': 20
+                    }
+                }]
+            };
+        });
+
+        it('renders flat fills by default', function () {
+            const styleFunction = applyStyleFunction(layer, style, 'buildings');
+            const styles = styleFunction(feature, 1);
+            should(styles[0].getFill()).be.ok();
+            should(styles[0].getRenderer()).be.null();
+        });
+
+        it('renders extrusions with the extrusion option', function () {
+            const styleFunction = applyStyleFunction(layer, style, 'buildings', undefined, undefined, undefined, undefined, {extrusion: true});
+            const styles = styleFunction(feature, 1);
+            should(styles[0].getRenderer()).be.a.Function();
+            should(layer.getRenderOrder()).be.a.Function();
+        });
+
+        it('scales heights with the ground resolution of the projection', function () {
+            function getRoofOffset(projection, resolution) {
+                const styleFunction = applyStyleFunction(layer, style, 'buildings', undefined, undefined, undefined, undefined, {
+                    extrusion: true,
+                    projection: projection
+                });
+                const renderer = styleFunction(feature, resolution)[0].getRenderer();
+                const moves = [];
+                const context = {
+                    beginPath: function () {},
+                    moveTo: function (x, y) {
+                        moves.push([x, y]);
+                    },
+                    lineTo: function () {},
+                    closePath: function () {},
+                    fill: function () {}
+                };
+                renderer([[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]], {
+                    context: context,
+                    feature: feature,
+                    geometry: feature.getGeometry(),
+                    pixelRatio: 1,
+                    resolution: resolution,
+                    rotation: 0
+                });
+                // The roof is drawn last, moved up by the height
+                return moves[moves.length - 1][1];
+            }
+            should(getRoofOffset('EPSG:3857', 1)).be.approximately(-20, 1e-3);
+            // 1e-5 degrees are about 1.11 meters at the equator
+            should(getRoofOffset('EPSG:4326', 1e-5)).be.approximately(-17.99, 1e-2);
+        });
+    });
+
+    describe('SDF icons', function () {
+        let spriteImage;
+        beforeEach(function () {
+            // Distance field of a circle with a radius of 8 pixels
+            spriteImage = document.createElement('canvas');
+            spriteImage.width = spriteImage.height = 32;
+            const ctx = spriteImage.getContext('2d');
+            const imageData = ctx.createImageData(32, 32);
+            for (let y = 0; y < 32; ++y) {
+                for (let x = 0; x < 32; ++x) {
+                    const distance = Math.hypot(x + 0.5 - 16, y + 0.5 - 16);
+                    imageData.data[(y * 32 + x) * 4 + 3] = Math.max(0, Math.min(1, 0.75 + (8 - distance) / 16)) * 255;
+                }
+            }
+            ctx.putImageData(imageData, 0, 0);
+        });
+
+        function getPixel(canvas, x, y) {
+            return Array.prototype.slice.call(canvas.getContext('2d').getImageData(x, y, 1, 1).data);
+        }
+
+        it('draws the icon with its color and halo', function () {
+            const icon = drawSdfIcon(spriteImage, {x: 0, y: 0, width: 32, height: 32, pixelRatio: 1}, 1,
+                Color.parse('red'), Color.parse('blue'), 2, 0);
+            should(icon.width).eql(32);
+            should(getPixel(icon, 16, 16)).eql([255, 0, 0, 255]);
+            should(getPixel(icon, 26, 16).slice(0, 3)).eql([0, 0, 255]);
+            should(getPixel(icon, 30, 16)[3]).eql(0);
+        });
+
+        it('scales the distance field to the icon size', function () {
+            const icon = drawSdfIcon(spriteImage, {x: 0, y: 0, width: 32, height: 32, pixelRatio: 1}, 2,
+                Color.parse('red'), Color.parse('transparent'), 0, 0);
+            should(icon.width).eql(64);
+            should(getPixel(icon, 32, 32)).eql([255, 0, 0, 255]);
+            should(getPixel(icon, 54, 32)[3]).eql(0);
+        });
     });
 
     describe('Points with labels', function () {
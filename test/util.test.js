@@ -1,5 +1,5 @@
 import should from 'should';
-import {wrapText} from '../src/util';
+import {getCoalesce, getTileMatrixSetOptions, wrapText} from '../src/util';
 
 describe('util', function() {
 
@@ -41,4 +41,57 @@ describe('util', function() {
       should(result).equal(text);
     });
   });
+
+  describe('getTileMatrixSetOptions()', function() {
+
+    it('reads tile matrices with a bottom-left corner of origin', function() {
+      const options = getTileMatrixSetOptions({
+        crs: {uri: 'http://www.opengis.net/def/crs/EPSG/0/3857'},
+        tileMatrices: [{
+          id: '0',
+          cellSize: 1000,
+          cornerOfOrigin: 'bottomLeft',
+          pointOfOrigin: [0, 0],
+          tileWidth: 256,
+          tileHeight: 512,
+          matrixWidth: 3,
+          matrixHeight: 2
+        }]
+      });
+      should(options).eql({
+        srs: 'EPSG:3857',
+        origins: [[0, 1024000]],
+        resolutions: [1000],
+        sizes: [[3, 2]],
+        tileSizes: [[256, 512]],
+        variableMatrixWidths: [undefined]
+      });
+    });
+
+    it('counts the rows of coalesced tiles from the top', function() {
+      const options = getTileMatrixSetOptions({
+        crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+        tileMatrices: [{
+          id: '1',
+          cellSize: 0.3515625,
+          cornerOfOrigin: 'bottomLeft',
+          pointOfOrigin: [-180, -90],
+          tileWidth: 256,
+          tileHeight: 256,
+          matrixWidth: 4,
+          matrixHeight: 2,
+          variableMatrixWidths: [{coalesce: 2, minTileRow: 1, maxTileRow: 1}]
+        }]
+      });
+      should(options.variableMatrixWidths).eql([[{coalesce: 2, minTileRow: 0, maxTileRow: 0}]]);
+      should(getCoalesce(options, [0, 3, 0])).eql(2);
+      should(getCoalesce(options, [0, 3, 1])).eql(1);
+    });
+
+    it('throws for unknown coordinate reference systems', function() {
+      should(function() {
+        getTileMatrixSetOptions({crs: 'http://www.opengis.net/def/crs/EPSG/0/4547', tileMatrices: []});
+      }).throw('Unknown projection "EPSG:4547"');
+    });
+  });
 });